@@ -1,14 +1,145 @@
-import { serve } from "bun";
+import { serve, type Server, type ServerWebSocket } from "bun";
 import homepage from "./index.html";
 
+// External bots connect to /bots and the game page (opened with ?bots) to /bots/game.
+// The server only relays: the game sends a packet of the match state every tick (at BOT_TICK_RATE)
+// and the bots answer with controls for the cars they joined with. See README.md for the messages
+const BOT_TICK_RATE = Number(process.env.BOT_TICK_RATE ?? 30); // Packets per second of match time
+const BOT_TIMEOUT = Number(process.env.BOT_TIMEOUT ?? 500); // Milliseconds (match time) without controls before the built-in AI takes a car back
+
+type Connection = { role: "game" | "bot"; id: number };
+type Bot = { socket: ServerWebSocket<Connection>; name: string; cars: number[] }; // cars: indices asked for on joining
+
+const bots = new Map<number, Bot>();
+let nextConnectionId = 1;
+let game: ServerWebSocket<Connection> | null = null;
+
+function send(socket: ServerWebSocket<Connection> | null, message: object) {
+  socket?.send(JSON.stringify(message));
+}
+
+function parse(message: string | Buffer): any {
+  try {
+    return JSON.parse(String(message));
+  } catch {
+    return null;
+  }
+}
+
+function handleGameMessage(message: any) {
+  switch (message.type) {
+    // Sent on to every bot as it is
+    case "packet": {
+      const packet = JSON.stringify(message);
+      bots.forEach(bot => bot.socket.send(packet));
+      break;
+    }
+    // The cars the game handed a bot (cars it couldn't have are left out)
+    case "assigned":
+      send(bots.get(message.botId)?.socket ?? null, { type: "assigned", cars: message.cars });
+      break;
+  }
+}
+
+function handleBotMessage(id: number, message: any) {
+  const bot = bots.get(id);
+  if (!bot) return;
+
+  switch (message.type) {
+    case "join":
+      bot.name = String(message.name ?? bot.name);
+      bot.cars = Array.isArray(message.cars) ? message.cars : [];
+      send(game, { type: "join", botId: id, name: bot.name, cars: bot.cars });
+      break;
+    case "controls":
+      send(game, { type: "controls", botId: id, cars: message.cars });
+      break;
+    default:
+      send(bot.socket, { type: "error", message: `Unknown message type: ${message.type}` });
+  }
+}
+
 const server = serve({
+  // Local only: bots and the game run on this machine
+  hostname: "127.0.0.1",
+
   routes: {
     // Bundle & route index.html to "/"
     "/": homepage,
   },
 
+  fetch(request: Request, server: Server) {
+    const url = new URL(request.url);
+    const { pathname } = url;
+
+    // Browsers let any site open a WebSocket here: only this server's own page may be the game,
+    // and bots (which send no Origin) can't be driven from another site's page either
+    const origin = request.headers.get("origin");
+    const isForeignPage = origin !== null && origin !== url.origin;
+    if ((pathname === "/bots/game" && origin !== url.origin) || (pathname === "/bots" && isForeignPage)) {
+      return new Response("Forbidden", { status: 403 });
+    }
+
+    const data: Connection | null = pathname === "/bots/game" ? { role: "game", id: nextConnectionId++ }
+      : pathname === "/bots" ? { role: "bot", id: nextConnectionId++ }
+      : null;
+    if (data && server.upgrade(request, { data })) return;
+    return new Response("Not found", { status: 404 });
+  },
+
+  websocket: {
+    open(socket: ServerWebSocket<Connection>) {
+      const connection = socket.data;
+      if (connection.role === "game") {
+        // One game at a time: a newer page takes over, and is told about the bots already waiting
+        // (the old page's close handler can run straight away, so it must find the new one already in place)
+        const previous = game;
+        game = socket;
+        previous?.close(1000, "Another game connected");
+        send(game, { type: "config", tickRate: BOT_TICK_RATE, timeout: BOT_TIMEOUT });
+        bots.forEach((bot, botId) => {
+          if (bot.cars.length > 0) send(game, { type: "join", botId, name: bot.name, cars: bot.cars });
+        });
+      } else {
+        bots.set(connection.id, { socket, name: `bot ${connection.id}`, cars: [] });
+        send(socket, { type: "welcome", botId: connection.id, tickRate: BOT_TICK_RATE, timeout: BOT_TIMEOUT });
+        if (!game) send(socket, { type: "error", message: "No game connected yet (open the game with ?bots)" });
+      }
+    },
+
+    message(socket: ServerWebSocket<Connection>, raw: string | Buffer) {
+      const message = parse(raw);
+      if (!message || typeof message.type !== "string") {
+        send(socket, { type: "error", message: "Messages must be JSON objects with a type" });
+        return;
+      }
+
+      const connection = socket.data;
+      if (connection.role === "game") {
+        handleGameMessage(message);
+      } else {
+        handleBotMessage(connection.id, message);
+      }
+    },
+
+    close(socket: ServerWebSocket<Connection>) {
+      const connection = socket.data;
+      if (connection.role === "game") {
+        // A page that was replaced by a newer one leaves the newer one connected
+        if (game?.data.id !== connection.id) return;
+        game = null;
+        bots.forEach(bot => send(bot.socket, { type: "error", message: "The game disconnected" }));
+      } else {
+        // The built-in AI takes the bot's cars back
+        bots.delete(connection.id);
+        send(game, { type: "leave", botId: connection.id });
+      }
+    },
+  },
+
   // Enable development mode for detailed error messages and hot reloading
   development: true,
 });
 
 console.log(`Rocket League Clone running at ${server.url}`);
+console.log(`Bots connect to ${server.url.href.replace(/^http/, "ws")}bots (${BOT_TICK_RATE} packets/s, ${BOT_TIMEOUT} ms timeout)`);
@@ -0,0 +1,23 @@
+/**
+ * AIController base class: drives a car from read-only game snapshots (see gameSnapshot.js)
+ * Any car can be given a controller with Match.setController. Every simulation tick the match
+ * builds one snapshot and asks each controller for its car's controls
+ *
+ * Subclasses override getControls, and reset if they remember anything between ticks
+ */
+import { createControls } from './car.js';
+
+export class AIController {
+    constructor(name = 'ai') {
+        this.name = name; // Shown wherever the driver is named
+    }
+    
+    // Forget anything remembered from before a kickoff (or a reset in free play)
+    reset() {}
+    
+    // Controls for snapshot.cars[carIndex], shaped like createControls() in car.js
+    // (anything left out counts as released)
+    getControls(snapshot, carIndex, deltaTime) {
+        return createControls();
+    }
+}
@@ -1,190 +1,187 @@
 /**
- * Ball class for creating and managing the game ball
+ * Ball class for simulating the game ball
+ * The ball has no mesh; BallView draws it
  */
 import * as THREE from 'three';
 import * as CANNON from 'cannon';
-import { random } from './utils.js';
+import { getBallProfile, DEFAULT_BALL_PROFILE } from './ballProfiles.js';
 
 export class Ball {
-    constructor(scene, world) {
-        this.scene = scene;
+    constructor(world, profile = getBallProfile(DEFAULT_BALL_PROFILE)) {
         this.world = world; // Physics world
-        this.mesh = null;
         this.body = null;
-        this.radius = 8; // Increased from 5 to make the ball bigger
-        this.mass = 1;
-        this.restitution = 1.5; // Bounciness
+        this.profile = profile; // See ballProfiles.js
+        this.radius = profile.radius;
+        this.mass = profile.mass;
+        this.magnusCoefficient = profile.magnusCoefficient;
+        this.isHeld = false; // Held still at the kickoff spot until a car touches it
         
-        // Trail effect
-        this.trail = [];
-        this.maxTrailLength = 20;
-        this.trailUpdateInterval = 3; // Update every N frames
-        this.frameCount = 0;
+        // Contact with the stadium goes through contact materials set from the profile
+        this.material = new CANNON.Material('ball');
+        this.floorContact = null;
+        this.wallContact = null;
+        
+        // Transform at the start of the current simulation tick, for render interpolation
+        this.previousPosition = new THREE.Vector3(0, this.radius, 0);
+        this.previousQuaternion = new THREE.Quaternion();
         
         this.createBall();
     }
     
     createBall() {
-        // Create ball geometry
-        const geometry = new THREE.SphereGeometry(this.radius, 32, 32);
-        
-        // Create ball material
-        const material = new THREE.MeshStandardMaterial({
-            color: 0xffffff,
-            roughness: 0.2,
-            metalness: 0.7,
-            emissive: 0x222222
-        });
-        
-        // Create ball mesh
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
-        this.scene.add(this.mesh);
-        
         // Create ball physics body
         const shape = new CANNON.Sphere(this.radius);
         this.body = new CANNON.Body({
             mass: this.mass,
-            position: new CANNON.Vec3(0, 20, 0), // Start above the ground
+            position: new CANNON.Vec3(0, this.radius, 0), // Resting on the center spot
             shape: shape,
-            material: new CANNON.Material({
-                friction: 0.3,
-                restitution: this.restitution
-            }),
-            linearDamping: 0.1, // Air resistance
-            angularDamping: 0.1 // Rotational resistance
+            material: this.material,
+            linearDamping: this.profile.linearDamping, // Air resistance
+            angularDamping: this.profile.angularDamping // Rotational resistance
         });
         
-        // Add initial velocity
-        this.body.velocity.set(
-            random(-10, 10),
-            random(5, 15),
-            random(-10, 10)
-        );
-        
         this.world.addBody(this.body);
         
-        // Create trail effect
-        this.createTrail();
+        // Wait for the kickoff
+        this.hold();
     }
     
-    createTrail() {
-        // Create trail geometry and material
-        const trailMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
-            transparent: true,
-            opacity: 0.3
-        });
+    // Pair the ball with the stadium's floor and wall materials
+    createContactMaterials(stadium) {
+        const defaults = this.world.defaultContactMaterial;
+        const options = {
+            contactEquationStiffness: defaults.contactEquationStiffness,
+            contactEquationRelaxation: defaults.contactEquationRelaxation
+        };
+        
+        this.floorContact = new CANNON.ContactMaterial(this.material, stadium.floorMaterial, options);
+        this.wallContact = new CANNON.ContactMaterial(this.material, stadium.wallMaterial, options);
+        this.world.addContactMaterial(this.floorContact);
+        this.world.addContactMaterial(this.wallContact);
+        
+        this.updateContactMaterials();
+    }
+    
+    updateContactMaterials() {
+        if (!this.floorContact) return;
         
-        // Pre-create trail meshes
-        for (let i = 0; i < this.maxTrailLength; i++) {
-            const trailGeometry = new THREE.SphereGeometry(this.radius * 0.8, 16, 16);
-            const trailMesh = new THREE.Mesh(trailGeometry, trailMaterial.clone());
-            trailMesh.visible = false;
-            this.scene.add(trailMesh);
-            this.trail.push({
-                mesh: trailMesh,
-                position: new THREE.Vector3(),
-                life: 0
-            });
-        }
+        this.floorContact.friction = this.profile.floorFriction;
+        this.floorContact.restitution = this.profile.restitution;
+        this.wallContact.friction = this.profile.wallFriction;
+        this.wallContact.restitution = this.profile.restitution;
     }
     
-    reset(position = new THREE.Vector3(0, 20, 0), velocity = null) {
+    // Switch to another physics profile (size, weight, bounce, drag and spin)
+    setProfile(profile) {
+        this.profile = profile;
+        this.radius = profile.radius;
+        this.mass = profile.mass;
+        this.magnusCoefficient = profile.magnusCoefficient;
+        
+        const shape = this.body.shapes[0];
+        shape.radius = profile.radius;
+        shape.updateBoundingSphereRadius();
+        this.body.updateBoundingRadius();
+        
+        this.body.mass = profile.mass;
+        this.body.linearDamping = profile.linearDamping;
+        this.body.angularDamping = profile.angularDamping;
+        this.body.updateMassProperties();
+        
+        this.updateContactMaterials();
+    }
+    
+    // Spinning balls curve: a Magnus-style force along spin x velocity
+    applySpinForce() {
+        if (!this.magnusCoefficient) return;
+        
+        const force = this.body.angularVelocity.cross(this.body.velocity);
+        force.scale(this.magnusCoefficient, force);
+        this.body.applyForce(force);
+    }
+    
+    // Put the ball on the center spot, held still for a kickoff
+    // Passing a velocity puts it straight into play instead (e.g. for training)
+    reset(position = null, velocity = null) {
         // Reset ball position
-        this.body.position.copy(position);
-        this.mesh.position.copy(position);
+        if (position) {
+            this.body.position.copy(position);
+        } else {
+            this.body.position.set(0, this.radius, 0);
+        }
+        
+        // Reset ball angular velocity
+        this.body.angularVelocity.set(0, 0, 0);
         
-        // Reset ball velocity
         if (velocity) {
+            this.release();
             this.body.velocity.copy(velocity);
         } else {
-            this.body.velocity.set(
-                random(-10, 10),
-                random(5, 15),
-                random(-10, 10)
-            );
+            this.hold();
         }
         
-        // Reset ball angular velocity
+        // Teleport: nothing to interpolate from
+        this.savePreviousTransform();
+    }
+    
+    // Freeze the ball in place, unaffected by gravity, until released
+    hold() {
+        this.isHeld = true;
+        this.body.type = CANNON.Body.KINEMATIC;
+        this.body.velocity.set(0, 0, 0);
         this.body.angularVelocity.set(0, 0, 0);
+        this.body.updateMassProperties();
+    }
+    
+    release() {
+        if (!this.isHeld) return;
         
-        // Clear trail
-        this.trail.forEach(segment => {
-            segment.mesh.visible = false;
-            segment.life = 0;
-        });
+        this.isHeld = false;
+        this.body.type = CANNON.Body.DYNAMIC;
+        this.body.updateMassProperties();
+        this.body.wakeUp();
     }
     
-    applyImpulse(direction, force) {
+    applyImpulse(direction, force, contactPoint = null) {
+        // The first touch puts a held ball into play
+        this.release();
+        
         const impulse = direction.clone().normalize().multiplyScalar(force);
+        
+        // Impulses away from the center (relative to it) also spin the ball
+        const relativePoint = contactPoint
+            ? new CANNON.Vec3(
+                contactPoint.x - this.body.position.x,
+                contactPoint.y - this.body.position.y,
+                contactPoint.z - this.body.position.z
+            )
+            : new CANNON.Vec3(0, 0, 0);
+        
         this.body.applyImpulse(
             new CANNON.Vec3(impulse.x, impulse.y, impulse.z),
-            new CANNON.Vec3(this.body.position.x, this.body.position.y, this.body.position.z)
+            relativePoint
         );
     }
     
-    updateTrail() {
-        // Only update trail every N frames for performance
-        this.frameCount++;
-        if (this.frameCount % this.trailUpdateInterval !== 0) return;
-        
-        // Add new trail segment
-        const oldestSegment = this.trail.shift();
-        oldestSegment.position.copy(this.mesh.position);
-        oldestSegment.mesh.position.copy(this.mesh.position);
-        oldestSegment.mesh.visible = true;
-        oldestSegment.life = 1.0; // Full opacity
-        this.trail.push(oldestSegment);
-        
-        // Update existing trail segments
-        for (let i = 0; i < this.trail.length; i++) {
-            const segment = this.trail[i];
-            if (segment.life > 0) {
-                segment.life -= 0.05;
-                segment.mesh.material.opacity = segment.life * 0.3;
-                
-                // Scale down trail segments as they age
-                const scale = 0.8 + (segment.life * 0.2);
-                segment.mesh.scale.set(scale, scale, scale);
-                
-                if (segment.life <= 0) {
-                    segment.mesh.visible = false;
-                }
-            }
-        }
-    }
-    
     update() {
-        // Update ball mesh position and rotation from physics body
-        this.mesh.position.copy(this.body.position);
-        this.mesh.quaternion.copy(this.body.quaternion);
-        
-        // Update trail effect
-        this.updateTrail();
-        
-        // Add glow effect based on velocity
-        const speed = this.body.velocity.length();
-        const maxSpeed = 50;
-        const normalizedSpeed = Math.min(speed / maxSpeed, 1);
-        
-        // Adjust emissive color based on speed
-        const emissiveIntensity = normalizedSpeed * 0.5;
-        this.mesh.material.emissive.setRGB(
-            emissiveIntensity,
-            emissiveIntensity,
-            emissiveIntensity
-        );
-        
         // Check if ball is out of bounds (fell through the floor)
         if (this.body.position.y < -50) {
             this.reset();
         }
     }
     
+    // Remember the physics transform at the start of a simulation tick
+    savePreviousTransform() {
+        this.previousPosition.copy(this.body.position);
+        this.previousQuaternion.copy(this.body.quaternion);
+    }
+    
     get position() {
-        return this.mesh.position;
+        return new THREE.Vector3(
+            this.body.position.x,
+            this.body.position.y,
+            this.body.position.z
+        );
     }
     
     get velocity() {
@@ -0,0 +1,132 @@
+/**
+ * BallPrediction class: runs the ball forward a few seconds to see where it is going
+ * Steps a copy of the ball with the world's gravity and the ball profile's drag, spin curve,
+ * bounce and friction, against the stadium's floor, walls, ceiling and goal mouths
+ * (square corners, no cars). Cheap enough for the AI to use every tick
+ */
+import * as THREE from 'three';
+
+export class BallPrediction {
+    constructor(match) {
+        this.match = match;
+        this.horizon = 4; // Seconds predicted
+        this.timeStep = 1 / 60; // Seconds between points of the path
+        this.settleSpeed = 2; // Bounces slower than this come to rest against the surface
+        this.frictionScale = 100; // Fitted to how quickly the physics world gets a sliding ball rolling
+        this.path = []; // { time (match seconds), position, velocity }, starting with the ball as it is
+        this.goal = null; // { team (scoring), time } if the ball goes in before the horizon
+        this.time = null; // Match time the path was predicted from
+    }
+    
+    // Predict from the ball as it is now (asking again in the same tick reuses the path)
+    update() {
+        const match = this.match;
+        if (this.time === match.elapsedTime) return this;
+        
+        const ball = match.ball;
+        const position = ball.position;
+        const velocity = ball.velocity;
+        const spin = new THREE.Vector3().copy(ball.body.angularVelocity);
+        const steps = Math.round(this.horizon / this.timeStep);
+        
+        this.time = match.elapsedTime;
+        this.goal = null;
+        this.path = [{ time: this.time, position: position.clone(), velocity: velocity.clone() }];
+        
+        for (let i = 1; i <= steps; i++) {
+            // A held ball waits for the kickoff
+            if (!ball.isHeld) {
+                this.stepBall(position, velocity, spin, this.timeStep);
+            }
+            
+            const time = this.time + i * this.timeStep;
+            this.path.push({ time, position: position.clone(), velocity: velocity.clone() });
+            
+            const team = match.stadium.checkGoal(position);
+            if (team) {
+                this.goal = { team, time };
+                break;
+            }
+        }
+        return this;
+    }
+    
+    // Where the ball will be at a match time (the nearest point of the path)
+    getPointAt(time) {
+        const index = Math.round((time - this.time) / this.timeStep);
+        return this.path[Math.max(0, Math.min(this.path.length - 1, index))];
+    }
+    
+    // One step of the ball, in the order the physics world applies them
+    stepBall(position, velocity, spin, deltaTime) {
+        const profile = this.match.ball.profile;
+        
+        // Spin curve and gravity, then drag
+        if (profile.magnusCoefficient) {
+            const force = spin.clone().cross(velocity).multiplyScalar(profile.magnusCoefficient);
+            velocity.addScaledVector(force, deltaTime / profile.mass);
+        }
+        velocity.y += this.match.world.gravity.y * deltaTime;
+        velocity.multiplyScalar(Math.pow(1 - profile.linearDamping, deltaTime));
+        spin.multiplyScalar(Math.pow(1 - profile.angularDamping, deltaTime));
+        
+        position.addScaledVector(velocity, deltaTime);
+        this.collide(position, velocity, spin, deltaTime);
+    }
+    
+    // Keep the ball inside the stadium, bouncing off anything it went into
+    collide(position, velocity, spin, deltaTime) {
+        const { dimensions, goalDimensions } = this.match.stadium;
+        const profile = this.match.ball.profile;
+        const radius = profile.radius;
+        const halfWidth = dimensions.width / 2 - radius;
+        const halfLength = dimensions.length / 2 - radius;
+        
+        // Floor (none past the goal lines) and ceiling
+        if (position.y < radius && Math.abs(position.z) < dimensions.length / 2) {
+            position.y = radius;
+            this.bounce(velocity, spin, new THREE.Vector3(0, 1, 0), profile.floorFriction, deltaTime);
+        } else if (position.y > dimensions.height - radius) {
+            position.y = dimensions.height - radius;
+            this.bounce(velocity, spin, new THREE.Vector3(0, -1, 0), profile.wallFriction, deltaTime);
+        }
+        
+        // Side walls
+        if (Math.abs(position.x) > halfWidth) {
+            const side = Math.sign(position.x);
+            position.x = side * halfWidth;
+            this.bounce(velocity, spin, new THREE.Vector3(-side, 0, 0), profile.wallFriction, deltaTime);
+        }
+        
+        // End walls, apart from the goal mouths
+        const isInGoalMouth = Math.abs(position.x) < goalDimensions.width / 2 && position.y < goalDimensions.height;
+        if (Math.abs(position.z) > halfLength && !isInGoalMouth) {
+            const end = Math.sign(position.z);
+            position.z = end * halfLength;
+            this.bounce(velocity, spin, new THREE.Vector3(0, 0, -end), profile.wallFriction, deltaTime);
+        }
+    }
+    
+    // Reflect the velocity off a surface with the ball's restitution (slow bounces settle against it),
+    // then let friction work the sliding at the contact point towards rolling. Like the physics world,
+    // friction is capped in proportion to gravity, however hard the ball hit
+    bounce(velocity, spin, normal, friction, deltaTime) {
+        const normalSpeed = velocity.dot(normal);
+        if (normalSpeed >= 0) return;
+        
+        const bounceSpeed = -normalSpeed * this.match.ball.profile.restitution;
+        velocity.addScaledVector(normal, (bounceSpeed < this.settleSpeed ? 0 : bounceSpeed) - normalSpeed);
+        
+        // Sliding speed of the contact point, along the surface
+        const radius = this.match.ball.radius;
+        const contact = normal.clone().multiplyScalar(-radius);
+        const slip = velocity.clone().add(spin.clone().cross(contact));
+        slip.addScaledVector(normal, -slip.dot(normal));
+        
+        // A solid ball takes 2/7 of the slip off its speed and the rest off its spin
+        const change = slip.multiplyScalar(-2 / 7);
+        change.clampLength(0, friction * this.frictionScale * Math.abs(this.match.world.gravity.y) * deltaTime);
+        velocity.add(change);
+        spin.add(contact.cross(change).multiplyScalar(5 / (2 * radius * radius)));
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Ball physics profiles
+ * Tune the ball's feel here rather than in Ball
+ *
+ * radius            Size of the ball
+ * mass              Heavier balls fly less far when hit
+ * restitution       Bounciness against the floor and walls (0-1)
+ * floorFriction     Grip against the floor (how quickly bounces turn into roll)
+ * wallFriction      Grip against the walls, ceiling and goals
+ * linearDamping     Air drag (fraction of speed lost per second)
+ * angularDamping    Spin drag (fraction of spin lost per second)
+ * magnusCoefficient Sideways force from spin (curve on hits with spin), 0 for none
+ */
+
+export const BALL_PROFILES = {
+    standard: {
+        name: 'standard',
+        radius: 8,
+        mass: 1,
+        restitution: 0.6,
+        floorFriction: 0.2,
+        wallFriction: 0.1,
+        linearDamping: 0.1,
+        angularDamping: 0.1,
+        magnusCoefficient: 0.02
+    },
+    heavy: {
+        name: 'heavy',
+        radius: 8,
+        mass: 3,
+        restitution: 0.4,
+        floorFriction: 0.3,
+        wallFriction: 0.15,
+        linearDamping: 0.05,
+        angularDamping: 0.2,
+        magnusCoefficient: 0.03
+    },
+    puck: {
+        name: 'puck',
+        radius: 7,
+        mass: 1.5,
+        restitution: 0.2,
+        floorFriction: 0.02,
+        wallFriction: 0.02,
+        linearDamping: 0.02,
+        angularDamping: 0.6,
+        magnusCoefficient: 0
+    },
+    beach: {
+        name: 'beach',
+        radius: 12,
+        mass: 0.4,
+        restitution: 0.85,
+        floorFriction: 0.4,
+        wallFriction: 0.3,
+        linearDamping: 0.45,
+        angularDamping: 0.3,
+        magnusCoefficient: 0.02
+    }
+};
+
+export const DEFAULT_BALL_PROFILE = 'standard';
+
+// Look up a profile by name, falling back to the standard ball
+export function getBallProfile(name) {
+    return BALL_PROFILES[name] || BALL_PROFILES[DEFAULT_BALL_PROFILE];
+}
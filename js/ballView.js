@@ -0,0 +1,150 @@
+/**
+ * BallView class for drawing the ball and its trail
+ */
+import * as THREE from 'three';
+
+export class BallView {
+    constructor(scene, ball) {
+        this.scene = scene;
+        this.ball = ball; // Simulated ball to draw
+        this.mesh = null;
+        this.baseRadius = ball.radius; // Radius the meshes were built with
+        
+        // Trail effect
+        this.trail = [];
+        this.maxTrailLength = 20;
+        this.trailUpdateInterval = 3; // Update every N frames
+        this.frameCount = 0;
+        
+        this.createBall();
+    }
+    
+    createBall() {
+        // Create ball geometry
+        const geometry = new THREE.SphereGeometry(this.ball.radius, 32, 32);
+        
+        // Create ball material
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.2,
+            metalness: 0.7,
+            emissive: 0x222222
+        });
+        
+        // Create ball mesh
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.mesh.position.copy(this.ball.body.position);
+        this.scene.add(this.mesh);
+        
+        // Create trail effect
+        this.createTrail();
+    }
+    
+    createTrail() {
+        // Create trail geometry and material
+        const trailMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.3
+        });
+        
+        // Pre-create trail meshes
+        for (let i = 0; i < this.maxTrailLength; i++) {
+            const trailGeometry = new THREE.SphereGeometry(this.ball.radius * 0.8, 16, 16);
+            const trailMesh = new THREE.Mesh(trailGeometry, trailMaterial.clone());
+            trailMesh.visible = false;
+            this.scene.add(trailMesh);
+            this.trail.push({
+                mesh: trailMesh,
+                position: new THREE.Vector3(),
+                life: 0
+            });
+        }
+    }
+    
+    getRadiusScale() {
+        return this.ball.radius / this.baseRadius;
+    }
+    
+    // Hide the trail (after the ball is teleported)
+    clearTrail() {
+        this.trail.forEach(segment => {
+            segment.mesh.visible = false;
+            segment.life = 0;
+        });
+    }
+    
+    updateTrail() {
+        // Only update trail every N frames for performance
+        this.frameCount++;
+        if (this.frameCount % this.trailUpdateInterval !== 0) return;
+        
+        // Add new trail segment
+        const oldestSegment = this.trail.shift();
+        oldestSegment.position.copy(this.mesh.position);
+        oldestSegment.mesh.position.copy(this.mesh.position);
+        oldestSegment.mesh.visible = true;
+        oldestSegment.life = 1.0; // Full opacity
+        this.trail.push(oldestSegment);
+        
+        // Update existing trail segments
+        for (let i = 0; i < this.trail.length; i++) {
+            const segment = this.trail[i];
+            if (segment.life > 0) {
+                segment.life -= 0.05;
+                segment.mesh.material.opacity = segment.life * 0.3;
+                
+                // Scale down trail segments as they age
+                const scale = (0.8 + (segment.life * 0.2)) * this.getRadiusScale();
+                segment.mesh.scale.set(scale, scale, scale);
+                
+                if (segment.life <= 0) {
+                    segment.mesh.visible = false;
+                }
+            }
+        }
+    }
+    
+    // Draw the ball between its last two simulation ticks (alpha 0-1)
+    update(alpha) {
+        const currentPosition = new THREE.Vector3().copy(this.ball.body.position);
+        const currentQuaternion = new THREE.Quaternion().copy(this.ball.body.quaternion);
+        
+        this.mesh.position.lerpVectors(this.ball.previousPosition, currentPosition, alpha);
+        this.mesh.quaternion.slerpQuaternions(this.ball.previousQuaternion, currentQuaternion, alpha);
+        
+        // Follow size changes from a new ball profile
+        this.mesh.scale.setScalar(this.getRadiusScale());
+        
+        // Update trail effect
+        this.updateTrail();
+        
+        this.updateGlow(this.ball.body.velocity.length());
+    }
+    
+    // Draw a recorded state of the ball instead (see ReplayBuffer)
+    showRecorded(ballFrame) {
+        this.mesh.position.copy(ballFrame.position);
+        this.mesh.quaternion.copy(ballFrame.quaternion);
+        this.mesh.scale.setScalar(this.getRadiusScale());
+        
+        this.updateTrail();
+        this.updateGlow(ballFrame.speed);
+    }
+    
+    updateGlow(speed) {
+        // Add glow effect based on velocity
+        const maxSpeed = 50;
+        const normalizedSpeed = Math.min(speed / maxSpeed, 1);
+        
+        // Adjust emissive color based on speed
+        const emissiveIntensity = normalizedSpeed * 0.5;
+        this.mesh.material.emissive.setRGB(
+            emissiveIntensity,
+            emissiveIntensity,
+            emissiveIntensity
+        );
+    }
+}
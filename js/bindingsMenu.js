@@ -0,0 +1,212 @@
+/**
+ * BindingsMenu class for the controls screen: shows each player's bindings, rebinds them
+ * by waiting for the next key, mouse button or gamepad input, and flags conflicts
+ */
+import { ACTIONS, getBindingLabel } from './inputBindings.js';
+import { GAMEPAD_PRESS_THRESHOLD } from './playerInput.js';
+
+export class BindingsMenu {
+    constructor(allBindings, allInputs, onClose = null) {
+        this.allBindings = allBindings; // InputBindings of every local player
+        this.allInputs = allInputs; // Their PlayerInputs (for the pad each one has)
+        this.onClose = onClose;
+        this.player = 0; // Player whose bindings are shown
+        this.capture = null; // { action, index, restingAxes } while waiting for an input to bind
+        this.isOpen = false;
+        
+        // UI elements
+        this.element = document.getElementById('bindings-menu');
+        this.playersElement = document.getElementById('bindings-players');
+        this.listElement = document.getElementById('bindings-list');
+        this.statusElement = document.getElementById('bindings-status');
+        
+        document.getElementById('bindings-reset-button').addEventListener('click', () => {
+            this.allBindings[this.player].resetToDefaults();
+            this.setStatus(`Player ${this.player + 1}'s controls were reset`);
+            this.render();
+        });
+        document.getElementById('bindings-done-button').addEventListener('click', () => this.close());
+        
+        // Mouse buttons can be bound too (the click that starts a capture has already happened).
+        // Clicking one of the menu's buttons instead cancels the capture and lets the button do its job
+        window.addEventListener('mousedown', event => {
+            if (!this.capture) return;
+            if (event.target instanceof Element && event.target.closest('button')) {
+                this.capture = null;
+                this.setStatus('Click a binding to change it');
+                return;
+            }
+            event.preventDefault();
+            this.finishCapture(`Mouse${event.button}`);
+        });
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.element.classList.add('visible');
+        this.setStatus('Click a binding to change it');
+        this.render();
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.capture = null;
+        this.element.classList.remove('visible');
+        if (this.onClose) this.onClose();
+    }
+    
+    render() {
+        // One tab per player
+        this.playersElement.innerHTML = '';
+        this.allBindings.forEach((bindings, player) => {
+            const tab = this.createButton(`Player ${player + 1}`, () => {
+                this.player = player;
+                this.capture = null;
+                this.render();
+            });
+            tab.classList.toggle('selected', player === this.player);
+            this.playersElement.appendChild(tab);
+        });
+        
+        // One row per action: its bindings, then a slot to add another
+        const bindings = this.allBindings[this.player];
+        this.listElement.innerHTML = '';
+        ACTIONS.forEach(({ name, label }) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            
+            const labelElement = document.createElement('span');
+            labelElement.className = 'binding-action';
+            labelElement.textContent = label;
+            row.appendChild(labelElement);
+            
+            [...bindings.bindings[name], null].forEach((binding, index) => {
+                const isCapturing = this.capture && this.capture.action === name && this.capture.index === index;
+                const text = isCapturing ? '...' : (binding ? getBindingLabel(binding) : '+');
+                const chip = this.createButton(text, () => this.startCapture(name, index));
+                chip.classList.add('binding');
+                
+                if (binding) {
+                    const conflicts = bindings.findConflicts(name, binding, this.allBindings);
+                    if (conflicts.length > 0) {
+                        chip.classList.add('conflict');
+                        chip.title = `Also bound to ${this.describeConflicts(conflicts)}`;
+                    }
+                }
+                if (isCapturing) {
+                    chip.classList.add('capturing');
+                }
+                
+                row.appendChild(chip);
+            });
+            
+            this.listElement.appendChild(row);
+        });
+    }
+    
+    createButton(text, action) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', () => {
+            // Don't leave focus on the button, or the next key would press it again
+            button.blur();
+            action();
+        });
+        return button;
+    }
+    
+    startCapture(action, index) {
+        // Axes are read against where they rest when the capture starts (some triggers rest at -1)
+        const gamepad = this.allInputs[this.player].getGamepad();
+        this.capture = { action, index, restingAxes: gamepad ? [...gamepad.axes] : null };
+        this.setStatus('Press a key, mouse button or gamepad input (Esc cancels, Delete removes the binding)');
+        this.render();
+    }
+    
+    finishCapture(binding) {
+        const { action, index } = this.capture;
+        const bindings = this.allBindings[this.player];
+        this.capture = null;
+        
+        bindings.bind(action, binding, index);
+        
+        const conflicts = bindings.findConflicts(action, binding, this.allBindings);
+        if (conflicts.length > 0) {
+            this.setStatus(`${getBindingLabel(binding)} is also bound to ${this.describeConflicts(conflicts)}`);
+        } else {
+            this.setStatus('Click a binding to change it');
+        }
+        this.render();
+    }
+    
+    describeConflicts(conflicts) {
+        return conflicts
+            .map(({ player, action }) => {
+                const label = ACTIONS.find(entry => entry.name === action).label;
+                return player === this.player ? label : `${label} (Player ${player + 1})`;
+            })
+            .join(', ');
+    }
+    
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    }
+    
+    handleKeyDown(event) {
+        event.preventDefault();
+        
+        if (!this.capture) {
+            if (event.code === 'Escape') this.close();
+            return;
+        }
+        
+        switch (event.code) {
+            case 'Escape':
+                this.capture = null;
+                this.setStatus('Click a binding to change it');
+                this.render();
+                break;
+            case 'Delete':
+            case 'Backspace': {
+                const { action, index } = this.capture;
+                const bindings = this.allBindings[this.player];
+                this.capture = null;
+                if (index < bindings.bindings[action].length) {
+                    bindings.unbind(action, index);
+                }
+                this.setStatus('Click a binding to change it');
+                this.render();
+                break;
+            }
+            default:
+                this.finishCapture(event.code);
+        }
+    }
+    
+    // Gamepads have no events for buttons, so poll the edited player's pad while waiting for an input
+    update() {
+        if (!this.capture) return;
+        
+        const gamepad = this.allInputs[this.player].getGamepad();
+        if (!gamepad) return;
+        
+        // A pad plugged in during the capture rests as it is now
+        const capture = this.capture;
+        if (!capture.restingAxes) {
+            capture.restingAxes = [...gamepad.axes];
+            return;
+        }
+        
+        const button = gamepad.buttons.findIndex(entry => entry.value >= GAMEPAD_PRESS_THRESHOLD);
+        if (button !== -1) {
+            this.finishCapture(`Gamepad${button}`);
+            return;
+        }
+        
+        const moves = gamepad.axes.map((value, axis) => value - (capture.restingAxes[axis] ?? 0));
+        const axis = moves.findIndex(move => Math.abs(move) >= GAMEPAD_PRESS_THRESHOLD);
+        if (axis !== -1) {
+            this.finishCapture(`GamepadAxis${axis}${moves[axis] < 0 ? '-' : '+'}`);
+        }
+    }
+}
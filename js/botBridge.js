@@ -0,0 +1,143 @@
+/**
+ * BotBridge class: lets external bots drive cars through the server's WebSocket relay (index.ts)
+ * Sends the bots a packet of the match at the server's tick rate and gives each AI car a bot
+ * joins with to a RemoteBotController. The built-in AI takes a car back while its bot is quiet
+ * for longer than the server's timeout, and for good when the bot (or the server) disconnects
+ */
+import { createGameSnapshot } from './gameSnapshot.js';
+import { RemoteBotController } from './remoteBotController.js';
+
+// Plain JSON copy of a snapshot: vectors become { x, y, z } and quaternions { x, y, z, w }
+function toPacketValue(value) {
+    if (value && value.isVector3) return { x: value.x, y: value.y, z: value.z };
+    if (value && value.isQuaternion) return { x: value.x, y: value.y, z: value.z, w: value.w };
+    if (Array.isArray(value)) return value.map(toPacketValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPacketValue(item)]));
+    }
+    return value;
+}
+
+export class BotBridge {
+    constructor(match, url) {
+        this.match = match;
+        this.url = url; // The server's /bots/game endpoint
+        this.socket = null;
+        this.isConnected = false;
+        
+        // Sent by the server when the game connects
+        this.tickRate = 30; // Packets per second of match time
+        this.timeout = 0.5; // Seconds without controls before the built-in AI drives a bot's car
+        
+        this.bots = new Map(); // Bot id -> { name, cars (indices in match.cars) }
+        this.tick = 0; // Packets sent
+        this.nextPacketTime = 0; // Match time of the next packet
+        this.predictionStride = 10; // Packets carry every 10th point of the ball's predicted path (and its last)
+        
+        this.connect();
+    }
+    
+    connect() {
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener('open', () => {
+            this.isConnected = true;
+        });
+        this.socket.addEventListener('message', event => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (e) {
+                console.warn('Bad message from the bot server', e);
+            }
+        });
+        this.socket.addEventListener('close', () => {
+            this.isConnected = false;
+            [...this.bots.keys()].forEach(botId => this.leave(botId));
+            console.warn('Lost the connection to the bot server, the built-in AI drives every AI car');
+        });
+    }
+    
+    send(message) {
+        if (this.isConnected) this.socket.send(JSON.stringify(message));
+    }
+    
+    handleMessage(message) {
+        switch (message.type) {
+            case 'config':
+                this.tickRate = message.tickRate;
+                this.timeout = message.timeout / 1000;
+                break;
+            case 'join':
+                this.join(message.botId, message.name, message.cars);
+                break;
+            case 'controls':
+                this.setControls(message.botId, message.cars);
+                break;
+            case 'leave':
+                this.leave(message.botId);
+                break;
+        }
+    }
+    
+    // Hand a bot the AI cars it asked for (human players' cars, and cars another bot has, are left out)
+    join(botId, name, indices) {
+        this.leave(botId);
+        
+        const cars = [];
+        (Array.isArray(indices) ? indices : []).forEach(index => {
+            const car = this.match.cars[index];
+            const controller = car ? this.match.getController(car) : null;
+            if (!controller || controller instanceof RemoteBotController || cars.includes(index)) return;
+            
+            this.match.setController(car, new RemoteBotController(name, controller, this.timeout));
+            cars.push(index);
+        });
+        
+        this.bots.set(botId, { name, cars });
+        this.send({ type: 'assigned', botId, cars });
+    }
+    
+    // Give a bot's cars back to the built-in AI
+    leave(botId) {
+        const bot = this.bots.get(botId);
+        if (!bot) return;
+        
+        bot.cars.forEach(index => {
+            const car = this.match.cars[index];
+            const controller = this.match.getController(car);
+            if (controller instanceof RemoteBotController) {
+                this.match.setController(car, controller.fallback);
+            }
+        });
+        this.bots.delete(botId);
+    }
+    
+    // Controls from a bot, keyed by car index (only for its own cars)
+    setControls(botId, carControls) {
+        const bot = this.bots.get(botId);
+        if (!bot || !carControls || typeof carControls !== 'object') return;
+        
+        Object.entries(carControls).forEach(([index, controls]) => {
+            if (!bot.cars.includes(Number(index)) || !controls || typeof controls !== 'object') return;
+            this.match.getController(this.match.cars[index]).setControls(controls);
+        });
+    }
+    
+    // Send a packet when its time comes (called every tick; nothing is sent while paused)
+    update() {
+        if (!this.isConnected || this.bots.size === 0) return;
+        
+        const time = this.match.elapsedTime;
+        if (time < this.nextPacketTime) return;
+        this.nextPacketTime = Math.max(this.nextPacketTime, time - 1 / this.tickRate) + 1 / this.tickRate;
+        
+        // The full predicted path would be most of the packet
+        const snapshot = createGameSnapshot(this.match);
+        const path = snapshot.ballPrediction.path.filter((point, i, points) =>
+            i % this.predictionStride === 0 || i === points.length - 1
+        );
+        const ballPrediction = { ...snapshot.ballPrediction, path };
+        
+        this.tick++;
+        this.send({ type: 'packet', tick: this.tick, ...toPacketValue({ ...snapshot, ballPrediction }) });
+    }
+}
@@ -0,0 +1,341 @@
+/**
+ * BotController class, the built-in AI (see AIController)
+ * Lines up shots at the opponent's goal, drops back when its own goal is in danger, plays a
+ * position around its teammates, and hits the ball with whatever mechanics its difficulty
+ * allows (see botDifficulties.js)
+ */
+import * as THREE from 'three';
+import { AIController } from './aiController.js';
+import { createControls } from './car.js';
+import { clamp, createRandom } from './utils.js';
+
+export class BotController extends AIController {
+    constructor(difficulty, seed = 0) {
+        super(difficulty.name);
+        this.difficulty = difficulty;
+        this.random = createRandom(seed); // Aim and mistakes, the same every time for a seed
+        this.history = []; // Recent snapshots, oldest first, so the bot can see the play late
+        this.plan = null; // { action: 'attack' | 'chase' | 'defend' | 'shadow' | 'support' | 'cover', aimOffset }
+        this.decisionTime = 0; // Seconds until the next decision
+        this.dodgeTime = null; // Seconds into a dodge, null when not dodging
+        
+        // Driving
+        this.lineUpDistance = 30; // How far behind the ball the bot gets to line up a shot
+        this.reverseDistance = 50; // Targets behind the car and closer than this are reversed to
+        this.defendDistance = 25; // Close enough to its goal to turn and clear the ball
+        this.holdDistance = 10; // Close enough to a position to stop there
+        this.avoidDistance = 25; // How wide of the ball the bot passes on the way back to a position
+        
+        // Positioning
+        this.challengeMargin = 0.3; // Seconds an opponent can beat the bot to the ball by and still be challenged
+        this.challengeDistance = 70; // Balls this close to the bot's goal are always challenged
+        this.shadowDistance = 40; // How far towards its goal from the ball the bot shadows
+        this.supportDistance = 80; // How far towards its goal from the ball the second car waits
+    }
+    
+    reset() {
+        this.history = [];
+        this.plan = null;
+        this.decisionTime = 0;
+        this.dodgeTime = null;
+    }
+    
+    getControls(snapshot, carIndex, deltaTime) {
+        const car = snapshot.cars[carIndex];
+        const seen = this.see(snapshot);
+        if (car.isDemolished) return createControls();
+        
+        this.decisionTime -= deltaTime;
+        if (!this.plan || this.decisionTime <= 0) {
+            this.plan = this.decide(seen, car, snapshot.time);
+            this.decisionTime = this.difficulty.decisionInterval;
+        }
+        
+        // The bot knows where its own car is, but sees the ball late
+        const intercept = this.findIntercept(seen, car, snapshot.time);
+        const controls = this.driveTo(car, this.getTarget(seen, car, intercept), intercept, snapshot.time);
+        this.useMechanics(controls, car, intercept, seen.ball.radius, snapshot.time, deltaTime);
+        return controls;
+    }
+    
+    // The snapshot from reactionTime ago (or the oldest one since the last reset)
+    see(snapshot) {
+        this.history.push(snapshot);
+        
+        const seenTime = snapshot.time - this.difficulty.reactionTime;
+        while (this.history.length > 1 && this.history[1].time <= seenTime) {
+            this.history.shift();
+        }
+        return this.history[0];
+    }
+    
+    // +1 for blue (attacking +z), -1 for orange
+    getAttackSign(car) {
+        return car.team === 'blue' ? 1 : -1;
+    }
+    
+    // Defend, play a position (attack, shadow, support or cover), or (a mistake) just drive at the ball
+    decide(seen, car, now) {
+        const { difficulty, random } = this;
+        const aimOffset = new THREE.Vector3(
+            (random() * 2 - 1) * difficulty.aimError,
+            0,
+            (random() * 2 - 1) * difficulty.aimError
+        );
+        
+        let action = 'attack';
+        if (difficulty.defends && this.isGoalInDanger(seen, car, now)) {
+            action = 'defend';
+        } else if (difficulty.positioning) {
+            action = this.choosePosition(seen, car);
+        }
+        if (action === 'attack' && random() < difficulty.mistakeChance) {
+            action = 'chase';
+        }
+        return { action, aimOffset };
+    }
+    
+    // The ball's predicted path ends in our goal, with the car on the wrong side of the ball
+    isGoalInDanger(seen, car, now) {
+        const goal = seen.ballPrediction.goal;
+        if (!goal || goal.team === car.team || goal.time > now + this.difficulty.predictionTime) return false;
+        
+        const sign = this.getAttackSign(car);
+        return car.position.z * sign > seen.ball.position.z * sign;
+    }
+    
+    // The team's cars in order of who gets to the ball first: the first challenges (or shadows an
+    // opponent who will beat it there), the second supports and any others cover the goal
+    choosePosition(seen, car) {
+        const { ball, arena } = seen;
+        const cars = seen.cars
+            .map(other => other.index === car.index ? car : other)
+            .filter(other => !other.isDemolished)
+            .map(other => ({ car: other, time: this.estimateChallenge(other, ball) }));
+        
+        const teammates = cars.filter(other => other.car.team === car.team).sort((a, b) => a.time - b.time);
+        const rank = teammates.findIndex(other => other.car.index === car.index);
+        if (rank === 1) return 'support';
+        if (rank > 1) return 'cover';
+        
+        // Too close to the goal to let anyone have it
+        if (ball.position.distanceTo(arena.goals[car.team]) < this.challengeDistance) return 'attack';
+        
+        const opponentTime = Math.min(...cars.filter(other => other.car.team !== car.team).map(other => other.time));
+        return teammates[0].time <= opponentTime + this.challengeMargin ? 'attack' : 'shadow';
+    }
+    
+    // Seconds for a car to get to the ball from its own side: a car past the ball has to come back first
+    estimateChallenge(car, ball) {
+        const pastBall = (car.position.z - ball.position.z) * this.getAttackSign(car);
+        const rotationTime = Math.max(0, pastBall) / car.handling.maxSpeed;
+        return this.estimateArrival(car, ball.position, ball.radius) + rotationTime;
+    }
+    
+    // Highest the car can hit the ball, on its wheels or with a jump
+    getReachHeight(car, ballRadius, isJumping) {
+        const groundReach = ballRadius + 6;
+        if (!isJumping) return groundReach;
+        
+        const { jumpForce, gravity } = car.handling;
+        return groundReach + jumpForce * jumpForce / (2 * gravity);
+    }
+    
+    // Seconds for the car to get to the ball at a point: turn to face it, then speed up towards it
+    estimateArrival(car, position, radius) {
+        const { handling } = car;
+        const canBoost = this.difficulty.boost !== 'never' && car.boostAmount > 10;
+        const topSpeed = canBoost ? handling.boostMaxSpeed : handling.maxSpeed;
+        const acceleration = handling.acceleration + (canBoost ? handling.boostForce : 0);
+        
+        const toBall = position.clone().sub(car.position).setY(0);
+        const distance = Math.max(0, toBall.length() - radius - 6);
+        const forward = car.forward.clone().setY(0).normalize();
+        const turnTime = forward.angleTo(toBall.normalize()) / (handling.turnSpeed * 1.2);
+        
+        // Accelerate to top speed (or until there), then hold it
+        const speed = clamp(car.velocity.dot(forward), 0, topSpeed);
+        const accelerationTime = (topSpeed - speed) / acceleration;
+        const accelerationDistance = (speed + topSpeed) / 2 * accelerationTime;
+        if (distance <= accelerationDistance) {
+            return turnTime + (Math.sqrt(speed * speed + 2 * acceleration * distance) - speed) / acceleration;
+        }
+        return turnTime + accelerationTime + (distance - accelerationDistance) / topSpeed;
+    }
+    
+    // Where to meet the ball: the first point of its predicted path the car can get to in time
+    // (and reach, jumping if this bot can), or where it will be at the end of what the bot reads
+    // { time, position, velocity }
+    findIntercept(seen, car, now) {
+        const { ball, ballPrediction } = seen;
+        if (this.difficulty.predictionTime <= 0) {
+            return { time: now, position: ball.position, velocity: ball.velocity };
+        }
+        
+        const reach = this.getReachHeight(car, ball.radius, this.difficulty.jumpHits);
+        const horizon = now + this.difficulty.predictionTime;
+        let last = ballPrediction.path[0];
+        for (const point of ballPrediction.path) {
+            if (point.time < now) continue;
+            if (point.time > horizon) break;
+            last = point;
+            
+            if (point.position.y > reach) continue;
+            if (this.estimateArrival(car, point.position, ball.radius) <= point.time - now) {
+                return point;
+            }
+        }
+        return last;
+    }
+    
+    // Whether the plan is to wait at a position rather than go for the ball
+    isHolding() {
+        return ['shadow', 'support', 'cover'].includes(this.plan.action);
+    }
+    
+    // Point on the floor the bot drives at this tick
+    getTarget(seen, car, intercept) {
+        const { arena, ball } = seen;
+        const sign = this.getAttackSign(car);
+        const plan = this.plan;
+        const ownGoal = arena.goals[car.team];
+        
+        // Back to the goal line, until close enough to turn and clear (cover just stays there)
+        if (plan.action === 'defend' || plan.action === 'cover') {
+            const goalPoint = new THREE.Vector3(ball.position.x * 0.3, 0, ownGoal.z + sign * 15);
+            if (plan.action === 'cover' || car.position.distanceTo(goalPoint) > this.defendDistance) {
+                return this.avoidBall(car, ball, goalPoint);
+            }
+        }
+        
+        // Between the ball and the goal: close enough to shadow, or further back (and more central) to support
+        if (plan.action === 'shadow' || plan.action === 'support') {
+            const ballPoint = ball.position.clone().setY(0);
+            const toGoal = ownGoal.clone().sub(ballPoint);
+            const distance = Math.min(plan.action === 'shadow' ? this.shadowDistance : this.supportDistance, toGoal.length());
+            const point = ballPoint.addScaledVector(toGoal.normalize(), distance);
+            if (plan.action === 'support') point.x *= 0.5;
+            return this.avoidBall(car, ball, point);
+        }
+        
+        const ballPoint = intercept.position.clone().setY(0).add(plan.aimOffset);
+        if (plan.action === 'chase') return ballPoint;
+        
+        // Get behind the ball on the line to the opponent's goal: the worse the angle, the further back
+        const goal = arena.goals[car.team === 'blue' ? 'orange' : 'blue'].clone();
+        const shotDirection = goal.sub(ballPoint).setY(0).normalize();
+        const approach = ballPoint.clone().sub(car.position).setY(0).normalize();
+        const alignment = approach.dot(shotDirection);
+        return ballPoint.addScaledVector(shotDirection, -(1 - alignment) / 2 * this.lineUpDistance);
+    }
+    
+    // Going back past the ball, swing wide of it rather than knock it towards the bot's own goal
+    avoidBall(car, ball, target) {
+        const start = car.position.clone().setY(0);
+        const ballPoint = ball.position.clone().setY(0);
+        const toTarget = target.clone().sub(start);
+        const along = ballPoint.clone().sub(start).dot(toTarget) / toTarget.lengthSq();
+        if (!(along > 0 && along < 1)) return target;
+        
+        // Pass the ball on whichever side the car's line to the target already does
+        const closest = start.addScaledVector(toTarget, along);
+        const side = closest.sub(ballPoint);
+        if (side.length() > this.avoidDistance) return target;
+        if (side.lengthSq() < 1e-6) side.set(-toTarget.z, 0, toTarget.x);
+        return ballPoint.addScaledVector(side.normalize(), this.avoidDistance);
+    }
+    
+    // Steer, throttle and boost towards a point on the floor, to meet the ball there
+    driveTo(car, target, intercept, now) {
+        const difficulty = this.difficulty;
+        const controls = createControls();
+        
+        // Heading from the car's yaw only, so flips and rolls don't throw the steering
+        const yaw = new THREE.Euler().setFromQuaternion(car.quaternion, 'YXZ').y;
+        const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+        const toTarget = target.clone().sub(car.position).setY(0);
+        const distance = toTarget.length();
+        
+        // Angle to the target, positive to the left
+        const angle = Math.atan2(
+            forward.z * toTarget.x - forward.x * toTarget.z,
+            forward.dot(toTarget)
+        );
+        
+        if (difficulty.analogSteering) {
+            controls.steer = clamp(-angle * 3, -1, 1);
+        } else if (Math.abs(angle) > 0.2) {
+            controls.left = angle > 0;
+            controls.right = angle < 0;
+        }
+        
+        // Positions are held by stopping on them
+        const isReversing = Math.abs(angle) > 2.2 && distance < this.reverseDistance;
+        const isHeld = this.isHolding() && distance < this.holdDistance;
+        controls.forward = !isReversing && !isHeld;
+        controls.backward = isReversing && !isHeld;
+        controls.drift = difficulty.powerslide && car.isOnGround && Math.abs(angle) > 1;
+        
+        // Coast rather than get there well before the ball does
+        const timeLeft = intercept.time - now;
+        const isGoingForBall = this.plan.action === 'attack' || this.plan.action === 'chase';
+        const isEarly = difficulty.timesArrival && isGoingForBall && timeLeft > 0.1 &&
+            car.velocity.length() * timeLeft > distance + 20;
+        if (isEarly && !isReversing) controls.forward = false;
+        
+        // Boost down long straights, and into shots if the bot is good enough
+        const isStraight = Math.abs(angle) < 0.15 && distance > 60;
+        const isShot = isGoingForBall && Math.abs(angle) < 0.25 && distance < 40 &&
+            intercept.position.y < 20;
+        controls.boost = car.isOnGround && !isReversing && !isEarly && (
+            (difficulty.boost !== 'never' && isStraight) || (difficulty.boost === 'hits' && isShot)
+        );
+        
+        // Forward also pitches the nose down in the air
+        if (!car.isOnGround) controls.forward = false;
+        
+        return controls;
+    }
+    
+    // Jumps timed to meet the ball in the air, and dodges into it on the ground
+    useMechanics(controls, car, intercept, ballRadius, now, deltaTime) {
+        const difficulty = this.difficulty;
+        
+        // A dodge in progress: jump, let go, then jump again with forward held
+        if (this.dodgeTime !== null) {
+            this.dodgeTime += deltaTime;
+            controls.jump = this.dodgeTime < 0.08 || (this.dodgeTime > 0.14 && this.dodgeTime < 0.2);
+            controls.forward = this.dodgeTime > 0.14;
+            controls.steer = 0;
+            controls.left = false;
+            controls.right = false;
+            controls.drift = false;
+            if (this.dodgeTime > 1 && car.isOnGround) this.dodgeTime = null;
+            return;
+        }
+        if (!car.isOnGround) return;
+        
+        const toBall = intercept.position.clone().sub(car.position).setY(0);
+        const forward = car.forward.clone().setY(0).normalize();
+        const isFacingBall = toBall.lengthSq() > 0 && forward.dot(toBall.clone().normalize()) > 0.9;
+        if (!isFacingBall) return;
+        
+        const timeLeft = intercept.time - now;
+        const groundReach = this.getReachHeight(car, ballRadius, false);
+        const height = intercept.position.y - groundReach;
+        
+        if (height > 0) {
+            // Take off so the car's rise ends at the ball
+            const { jumpForce, gravity } = car.handling;
+            const rise = Math.min(height, jumpForce * jumpForce / (2 * gravity) - 0.5);
+            const riseTime = (jumpForce - Math.sqrt(jumpForce * jumpForce - 2 * gravity * rise)) / gravity;
+            const isOnTime = Math.abs(this.estimateArrival(car, intercept.position, ballRadius) - timeLeft) < 0.2;
+            if (difficulty.jumpHits && isOnTime && timeLeft <= riseTime) {
+                controls.jump = true;
+            }
+        } else if (difficulty.dodges && toBall.length() < 25 && timeLeft < 0.2 && car.velocity.length() > 20) {
+            this.dodgeTime = 0;
+            controls.jump = true;
+        }
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Difficulty tiers of the built-in bot (see BotController)
+ * Every tier drives the same car as the players; they differ in how quickly they see the play,
+ * how well they choose what to do, and which mechanics they use
+ *
+ * label            Name shown in menus and replays
+ * reactionTime     Seconds late the bot sees the ball and the other cars
+ * decisionInterval Seconds between choosing what to do
+ * aimError         Largest miss (units) in where the bot aims at the ball, picked again with each decision
+ * mistakeChance    Chance each decision of just driving at the ball instead of lining up a shot
+ * predictionTime   Seconds of the ball's predicted path the bot reads to find where to meet it
+ *                  (0 drives at the ball where it is)
+ * timesArrival     Eases off to get there as the ball does, rather than early at full speed
+ * defends          Goes back to its goal when the ball is heading there
+ * positioning      Plays a position: challenges only when it will get to the ball first, shadows
+ *                  an opponent who will beat it there, and rotates back behind its teammates
+ * analogSteering   Steers in proportion to the turn, rather than full lock either way
+ * boost            'never', 'straights' (long straight drives) or 'hits' (straights and shots)
+ * powerslide       Powerslides through tight turns
+ * jumpHits         Jumps for balls above the car, timed to meet them
+ * dodges           Flips into balls on the ground
+ */
+
+export const BOT_DIFFICULTIES = {
+    rookie: {
+        name: 'rookie',
+        label: 'Rookie',
+        reactionTime: 0.4,
+        decisionInterval: 0.5,
+        aimError: 10,
+        mistakeChance: 0.35,
+        predictionTime: 0,
+        timesArrival: false,
+        defends: false,
+        positioning: false,
+        analogSteering: false,
+        boost: 'never',
+        powerslide: false,
+        jumpHits: false,
+        dodges: false
+    },
+    pro: {
+        name: 'pro',
+        label: 'Pro',
+        reactionTime: 0.2,
+        decisionInterval: 0.25,
+        aimError: 4,
+        mistakeChance: 0.1,
+        predictionTime: 2,
+        timesArrival: false,
+        defends: true,
+        positioning: true,
+        analogSteering: true,
+        boost: 'straights',
+        powerslide: true,
+        jumpHits: true,
+        dodges: false
+    },
+    allStar: {
+        name: 'allStar',
+        label: 'All-Star',
+        reactionTime: 0.08,
+        decisionInterval: 0.1,
+        aimError: 1,
+        mistakeChance: 0.02,
+        predictionTime: 4,
+        timesArrival: true,
+        defends: true,
+        positioning: true,
+        analogSteering: true,
+        boost: 'hits',
+        powerslide: true,
+        jumpHits: true,
+        dodges: true
+    }
+};
+
+export const DEFAULT_BOT_DIFFICULTY = 'pro';
+
+// Look up a tier by name, falling back to the default
+export function getBotDifficulty(name) {
+    return BOT_DIFFICULTIES[name] || BOT_DIFFICULTIES[DEFAULT_BOT_DIFFICULTY];
+}
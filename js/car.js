@@ -1,23 +1,38 @@
 /**
- * Car class for creating and managing the player's car
+ * Car class for simulating a car (driving, jumps, boost and contacts)
  * Ultra-simplified implementation with reliable controls
+ * The car has no meshes; CarView draws it
  */
 import * as THREE from 'three';
 import * as CANNON from 'cannon';
 import { clamp } from './utils.js';
 
+// Controls with nothing pressed
+// The analog controls (gamepad) are in [-1, 1] and add to the matching keys:
+// throttle (+ forward), steer (+ right) and pitch (+ like forward, in the air)
+export function createControls() {
+    return {
+        forward: false,
+        backward: false,
+        left: false,
+        right: false,
+        throttle: 0,
+        steer: 0,
+        pitch: 0,
+        boost: false,
+        jump: false,
+        drift: false,
+        airRoll: false,
+        airRollLeft: false,
+        airRollRight: false
+    };
+}
+
 export class Car {
-    constructor(scene, world, team = 'blue', isPlayer = false) {
-        this.scene = scene;
-        this.world = world;
+    constructor(team = 'blue', isPlayer = false) {
         this.team = team; // 'blue' or 'orange'
         this.isPlayer = isPlayer;
         
-        // Car meshes
-        this.mesh = null;
-        this.wheels = [];
-        this.boostParticles = [];
-        
         // Car dimensions
         this.dimensions = {
             width: 8,
@@ -31,9 +46,17 @@ export class Car {
             this.dimensions.height / 2 + 1,
             this.team === 'blue' ? -120 : 120
         );
-        this.rotation = new THREE.Euler(0, this.team === 'blue' ? 0 : Math.PI, 0);
+        this.quaternion = new THREE.Quaternion().setFromAxisAngle(
+            new THREE.Vector3(0, 1, 0),
+            this.team === 'blue' ? 0 : Math.PI
+        );
+        this.rotation = new THREE.Euler().setFromQuaternion(this.quaternion); // Mirrors the quaternion
         this.velocity = new THREE.Vector3(0, 0, 0);
-        this.angularVelocity = 0; // Only for Y-axis rotation
+        this.angularVelocity = new THREE.Vector3(0, 0, 0); // Local pitch (x), yaw (y) and roll (z) rates
+        
+        // Transform at the start of the current simulation tick, for render interpolation
+        this.previousPosition = this.position.clone();
+        this.previousQuaternion = this.quaternion.clone();
         
         // Car physics properties - ultra simplified
         this.maxSpeed = 80;
@@ -43,15 +66,30 @@ export class Car {
         this.driftTurnMultiplier = 1.8;
         this.gravity = 60; // Dramatically increased to make the car fall much faster
         this.jumpForce = 50; // Dramatically increased to make jumps much higher
-        this.airControlFactor = 0.7; // Factor for air control (0-1)
+        
+        // Air control (angular accelerations in rad/s²)
+        this.airPitchAcceleration = 12;
+        this.airYawAcceleration = 9;
+        this.airRollAcceleration = 18;
+        this.airAngularDamping = 1.5; // Slows spin on axes without input (per second)
+        this.maxAngularSpeed = 5.5; // rad/s
         this.groundLevel = this.dimensions.height / 2 + 0.5;
         
+        // Wall and ceiling driving
+        this.surface = null; // Stadium surface the wheels are on (null when airborne)
+        this.surfaceNormal = new THREE.Vector3(0, 1, 0); // "Up" while on a surface
+        this.minSurfaceSpeed = 30; // Below this speed gravity pulls the car off walls and the ceiling
+        this.surfaceDetachForce = 5; // Push away from a wall when falling off it
+        this.floorNormalThreshold = 0.7; // Surfaces with normal.y above this count as floor
+        
         // Car state
         this.speed = 0;
         this.isBoosting = false;
-        this.boostAmount = 100; // 0-100
-        this.boostRechargeRate = 10; // Per second
+        this.startingBoost = 33; // Boost given at every kickoff
+        this.boostAmount = this.startingBoost; // 0-100
+        this.boostConsumptionRate = 33.3; // Used per second while boosting
         this.boostForce = 200;
+        this.boostSpeedFactor = 1.5; // Top speed while boosting (and in the air), as a multiple of maxSpeed
         this.canJump = true;
         this.isJumping = false;
         this.jumpCooldown = 0;
@@ -59,262 +97,119 @@ export class Car {
         this.isDrifting = false;
         this.isOnGround = true;
         
-        // Controls state
-        this.controls = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            boost: false,
-            jump: false,
-            drift: false
-        };
+        // Double jump and dodges
+        this.hasDoubleJump = false; // Second jump still available
+        this.airTime = 0; // Seconds since the first jump
+        this.doubleJumpWindow = 1.25; // Seconds after the first jump the second one is allowed
+        this.doubleJumpForce = 40;
+        this.dodgeForce = 60; // Velocity added in the dodge direction
+        this.dodgeDuration = 0.6; // Seconds for a full flip
+        this.dodgeDeadzone = 0.5; // Stick input needed to dodge instead of double jumping
+        this.dodge = null; // Active flip: { axis (local), elapsed }
+        
+        // Tyre grip
+        this.tireGrip = 8; // How quickly sideways sliding is cancelled (per second)
+        this.powerslideGrip = 1; // Rear grip while powersliding
+        this.rearGrip = this.tireGrip; // Current rear grip
+        this.gripLossRate = 30; // How fast rear grip drops when powersliding (per second)
+        this.gripRecoveryRate = 6; // How fast rear grip comes back after a powerslide (per second)
+        
+        // Car-to-car contact
+        this.collisionRadius = Math.max(this.dimensions.width, this.dimensions.length) / 2 * 0.85;
+        this.bumpRestitution = 0.6; // Bounciness of car-to-car bumps (0-1)
+        this.bumpPopForce = 12; // Upward velocity given to a bumped car
+        this.supersonicFactor = 1.35; // Fraction of maxSpeed at which the car counts as supersonic
+        this.impactLiftThreshold = 5; // Hits pushing the car off its surface faster than this make it airborne
+        
+        // Car-to-ball contact
+        this.ballHitRestitution = 0.3; // Extra bounce on ball hits (0-1)
+        this.ballHitFriction = 0.4; // How much the car's surface drags and spins the ball
+        
+        // Demolition state
+        this.isDemolished = false;
+        this.respawnTimer = 0;
+        this.respawnTime = 3; // Seconds before a demolished car respawns
         
-        this.createCar();
+        // Controls state
+        this.controls = createControls();
     }
     
-    createCar() {
-        // Create car body geometry
-        const bodyGeometry = new THREE.BoxGeometry(
-            this.dimensions.width,
-            this.dimensions.height,
-            this.dimensions.length
-        );
-        
-        // Create car material based on team
-        const bodyColor = this.team === 'blue' ? 0x0066ff : 0xff6600;
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: bodyColor,
-            roughness: 0.3,
-            metalness: 0.8
-        });
-        
-        // Create car mesh
-        this.mesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
-        this.mesh.position.copy(this.position);
-        this.mesh.rotation.copy(this.rotation);
-        this.scene.add(this.mesh);
-        
-        // Add details to the car
-        this.addCarDetails();
-        
-        // Create boost particles
-        this.createBoostParticles();
-    }
-    
-    addCarDetails() {
-        // Add roof
-        const roofGeometry = new THREE.BoxGeometry(
-            this.dimensions.width * 0.8,
-            this.dimensions.height * 0.4,
-            this.dimensions.length * 0.6
-        );
-        
-        const roofMaterial = new THREE.MeshStandardMaterial({
-            color: 0x222222,
-            roughness: 0.5,
-            metalness: 0.5
-        });
-        
-        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-        roof.position.set(0, this.dimensions.height * 0.7, -this.dimensions.length * 0.1);
-        roof.castShadow = true;
-        this.mesh.add(roof);
-        
-        // Add wheels
-        const wheelGeometry = new THREE.CylinderGeometry(2, 2, 1, 16);
-        wheelGeometry.rotateZ(Math.PI / 2);
-        
-        const wheelMaterial = new THREE.MeshStandardMaterial({
-            color: 0x111111,
-            roughness: 0.7,
-            metalness: 0.5
-        });
-        
-        // Wheel positions
-        const wheelPositions = [
-            { x: -this.dimensions.width / 2 - 0.5, y: -this.dimensions.height / 2 + 1, z: this.dimensions.length / 3 },
-            { x: this.dimensions.width / 2 + 0.5, y: -this.dimensions.height / 2 + 1, z: this.dimensions.length / 3 },
-            { x: -this.dimensions.width / 2 - 0.5, y: -this.dimensions.height / 2 + 1, z: -this.dimensions.length / 3 },
-            { x: this.dimensions.width / 2 + 0.5, y: -this.dimensions.height / 2 + 1, z: -this.dimensions.length / 3 }
-        ];
-        
-        wheelPositions.forEach(pos => {
-            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-            wheel.position.set(pos.x, pos.y, pos.z);
-            wheel.castShadow = true;
-            this.mesh.add(wheel);
-            this.wheels.push(wheel);
-        });
-        
-        // Add windshield
-        const windshieldGeometry = new THREE.BoxGeometry(
-            this.dimensions.width * 0.7,
-            this.dimensions.height * 0.3,
-            this.dimensions.length * 0.1
-        );
-        
-        const windshieldMaterial = new THREE.MeshStandardMaterial({
-            color: 0x88ccff,
-            roughness: 0.1,
-            metalness: 0.9,
-            transparent: true,
-            opacity: 0.7
-        });
-        
-        const windshield = new THREE.Mesh(windshieldGeometry, windshieldMaterial);
-        windshield.position.set(0, this.dimensions.height * 0.5, this.dimensions.length * 0.2);
-        this.mesh.add(windshield);
-        
-        // Add boost nozzle
-        const nozzleGeometry = new THREE.CylinderGeometry(1, 1.5, 2, 16);
-        
-        const nozzleMaterial = new THREE.MeshStandardMaterial({
-            color: 0x333333,
-            roughness: 0.5,
-            metalness: 0.8
-        });
-        
-        const nozzle = new THREE.Mesh(nozzleGeometry, nozzleMaterial);
-        nozzle.position.set(0, -1, -this.dimensions.length / 2 - 1);
-        nozzle.rotation.x = Math.PI / 2;
-        this.mesh.add(nozzle);
-    }
-    
-    createBoostParticles() {
-        const particleCount = 100;
-        const particleGeometry = new THREE.SphereGeometry(0.5, 8, 8);
-        
-        // Create particle material based on team
-        const particleColor = this.team === 'blue' ? 0x0088ff : 0xff8800;
-        
-        const particleMaterial = new THREE.MeshStandardMaterial({
-            color: particleColor,
-            transparent: true,
-            opacity: 0.8,
-            emissive: particleColor,
-            emissiveIntensity: 2.0,
-            roughness: 0.3,
-            metalness: 0.7
-        });
-        
-        // Create particles
-        for (let i = 0; i < particleCount; i++) {
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
-            particle.visible = false;
-            this.scene.add(particle);
-            
-            this.boostParticles.push({
-                mesh: particle,
-                life: 0,
-                speed: Math.random() * 2 + 1,
-                offset: new THREE.Vector3(
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2
-                )
-            });
-        }
+    setControls(controls) {
+        this.controls = { ...this.controls, ...controls };
     }
     
-    updateBoostParticles(deltaTime) {
-        if (!this.isBoosting) {
-            // Hide all particles when not boosting
-            this.boostParticles.forEach(particle => {
-                particle.mesh.visible = false;
-                particle.life = 0;
-            });
-            return;
-        }
-        
-        // Get car's backward direction
-        const carDirection = new THREE.Vector3(0, 0, 1).applyEuler(this.rotation);
-        const backwardDirection = carDirection.clone().multiplyScalar(-1);
-        
-        // Get position of the boost nozzle
-        const nozzlePosition = new THREE.Vector3(0, -1, -this.dimensions.length / 2 - 1);
-        nozzlePosition.applyEuler(this.rotation);
-        nozzlePosition.add(this.position);
-        
-        // Update particles
-        this.boostParticles.forEach(particle => {
-            if (particle.life <= 0) {
-                // Reset particle
-                particle.mesh.position.copy(nozzlePosition);
-                particle.mesh.visible = true;
-                particle.life = 1.0;
-                
-                // Randomize particle color for cool effect
-                const hue = Math.random();
-                const particleColor = this.team === 'blue' 
-                    ? new THREE.Color().setHSL(0.6 + hue * 0.1, 1, 0.5) // Blue variations
-                    : new THREE.Color().setHSL(0.05 + hue * 0.1, 1, 0.5); // Orange variations
-                
-                particle.mesh.material.color.set(particleColor);
-                
-                // Randomize particle size
-                const baseSize = Math.random() * 0.5 + 0.5;
-                particle.mesh.scale.set(baseSize, baseSize, baseSize);
-                
-                particle.speed = Math.random() * 3 + 2;
-            } else {
-                // Update particle position
-                const moveDirection = backwardDirection.clone().add(particle.offset);
-                particle.mesh.position.addScaledVector(moveDirection, particle.speed * deltaTime * 15);
-                
-                // Update particle life
-                particle.life -= deltaTime * 1.5;
-                
-                // Update particle appearance
-                particle.mesh.material.opacity = particle.life * 0.8;
-                const scale = particle.life * 0.7 + 0.3;
-                particle.mesh.scale.set(scale, scale, scale);
-                
-                // Hide particle when life is over
-                if (particle.life <= 0) {
-                    particle.mesh.visible = false;
-                }
-            }
-        });
+    // Combined analog and digital inputs, each in [-1, 1]
+    getThrottleInput() {
+        const keys = (this.controls.forward ? 1 : 0) - (this.controls.backward ? 1 : 0);
+        return clamp(this.controls.throttle + keys, -1, 1);
     }
     
-    setControls(controls) {
-        this.controls = { ...this.controls, ...controls };
+    getSteerInput() {
+        const keys = (this.controls.right ? 1 : 0) - (this.controls.left ? 1 : 0);
+        return clamp(this.controls.steer + keys, -1, 1);
+    }
+    
+    getPitchInput() {
+        const keys = (this.controls.forward ? 1 : 0) - (this.controls.backward ? 1 : 0);
+        return clamp(this.controls.pitch + keys, -1, 1);
     }
     
-    update(deltaTime) {
+    update(deltaTime, stadium) {
+        // Demolished cars only wait for the match to respawn them (see isRespawnDue)
+        if (this.isDemolished) {
+            this.respawnTimer = Math.max(0, this.respawnTimer - deltaTime);
+            return;
+        }
+        
+        // Freshly spawned cars start on the floor
+        if (this.isOnGround && !this.surface) {
+            this.surface = stadium.getSurface('floor');
+        }
+        
         // Handle controls
         this.handleControls(deltaTime);
         
-        // Apply gravity if not on ground
-        if (!this.isOnGround) {
+        if (this.isOnGround) {
+            // Gravity and grip while driving on a surface
+            this.updateSurfaceDriving(deltaTime, stadium);
+        } else {
+            // Apply gravity if not on ground
             this.velocity.y -= this.gravity * deltaTime;
         }
         
         // Update position based on velocity
         this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
         
-        // Update rotation based on angular velocity
-        this.rotation.y += this.angularVelocity * deltaTime;
+        // Flip animation of a dodge
+        this.updateDodge(deltaTime);
         
-        // Check ground collision
-        if (this.position.y <= this.groundLevel) {
-            this.position.y = this.groundLevel;
-            this.velocity.y = 0;
-            this.isOnGround = true;
+        // Close the double jump window
+        if (!this.isOnGround) {
+            this.airTime += deltaTime;
+            if (this.airTime > this.doubleJumpWindow) {
+                this.hasDoubleJump = false;
+            }
         }
         
-        // Check for ball collision - this will be called by the game class
-        // but we need to have the method available
+        // Update rotation based on angular velocity (in the car's local space)
+        const angularSpeed = this.angularVelocity.length();
+        if (angularSpeed > 0) {
+            const axis = this.angularVelocity.clone().divideScalar(angularSpeed);
+            const turn = new THREE.Quaternion().setFromAxisAngle(axis, angularSpeed * deltaTime);
+            this.quaternion.multiply(turn).normalize();
+            
+            // Gripping tyres carry the car's momentum round the turn; sliding ones let the car rotate past it
+            if (this.isOnGround) {
+                const yawAngle = this.angularVelocity.y * deltaTime;
+                this.velocity.applyAxisAngle(this.surfaceNormal, yawAngle * this.getTraction());
+            }
+        }
         
-        // Update mesh position and rotation
-        this.mesh.position.copy(this.position);
-        this.mesh.rotation.copy(this.rotation);
+        // Stick to, land on or bounce off the stadium surfaces
+        this.handleSurfaceContact(stadium);
         
-        // Update boost particles
-        this.updateBoostParticles(deltaTime);
+        // Keep the Euler rotation in step with the quaternion
+        this.syncRotation();
         
         // Update jump cooldown
         if (this.jumpCooldown > 0) {
@@ -323,49 +218,36 @@ export class Car {
             this.canJump = true;
         }
         
-        // Recharge boost
-        if (!this.isBoosting && this.boostAmount < 100) {
-            this.boostAmount += this.boostRechargeRate * deltaTime;
-            if (this.boostAmount > 100) this.boostAmount = 100;
-        }
-        
         // Check if car is out of bounds (fell through the floor)
         if (this.position.y < -50) {
             this.reset();
         }
-        
-        // Simple stadium boundary checks
-        const stadiumWidth = 300;
-        const stadiumLength = 450;
-        const halfWidth = stadiumWidth / 2;
-        const halfLength = stadiumLength / 2;
-        
-        // Bounce off walls
-        if (Math.abs(this.position.x) > halfWidth - this.dimensions.width / 2) {
-            this.position.x = Math.sign(this.position.x) * (halfWidth - this.dimensions.width / 2);
-            this.velocity.x *= -0.5; // Bounce with some energy loss
-        }
-        
-        if (Math.abs(this.position.z) > halfLength - this.dimensions.length / 2) {
-            this.position.z = Math.sign(this.position.z) * (halfLength - this.dimensions.length / 2);
-            this.velocity.z *= -0.5; // Bounce with some energy loss
-        }
     }
     
     handleControls(deltaTime) {
-        // Get the car's forward direction
-        const forwardDir = new THREE.Vector3(0, 0, 1).applyEuler(this.rotation);
+        // Get the car's forward and sideways directions
+        const forwardDir = this.getForwardDirection();
+        const leftDir = this.getRightDirection().negate();
+        
+        // On a surface, split the velocity into the part along the heading and the sideways slide
+        let lateralSpeed = 0;
+        if (this.isOnGround) {
+            this.speed = this.velocity.dot(forwardDir);
+            lateralSpeed = this.velocity.dot(leftDir);
+        }
         
         // Determine if we're driving forward or backward
-        const isDrivingBackward = 
-            (this.controls.backward && !this.controls.forward) || 
-            (this.speed < 0);
-        
-        // Handle acceleration and braking
-        if (this.controls.forward) {
-            this.speed += this.acceleration * deltaTime;
-        } else if (this.controls.backward) {
-            this.speed -= this.acceleration * deltaTime;
+        const throttle = this.getThrottleInput();
+        const steer = this.getSteerInput();
+        const isDrivingBackward = throttle < 0 || this.speed < 0;
+        
+        // Handle acceleration and braking - wheels only work on a surface
+        // Partial throttle accelerates (or brakes) proportionally less
+        if (!this.isOnGround) {
+            // In the air the car just carries its momentum
+            this.speed = this.velocity.dot(forwardDir);
+        } else if (throttle !== 0) {
+            this.speed += this.acceleration * throttle * deltaTime;
         } else {
             // Apply automatic deceleration when no input
             if (this.speed > 0) {
@@ -377,39 +259,54 @@ export class Car {
             }
         }
         
-        // Apply boost - now works in air too
+        // Apply boost - now works in air too, as long as there's some in the tank
         this.isBoosting = false;
-        if (this.controls.boost && !isDrivingBackward) {
+        if (this.controls.boost && !isDrivingBackward && this.boostAmount > 0) {
             this.isBoosting = true;
-            this.speed += this.boostForce * deltaTime;
+            this.boostAmount = Math.max(0, this.boostAmount - this.boostConsumptionRate * deltaTime);
             
-            // If in air, also apply boost force in the direction we're facing
-            if (!this.isOnGround) {
-                const boostDirection = forwardDir.clone();
-                const boostVelocity = boostDirection.multiplyScalar(this.boostForce * 0.5 * deltaTime);
-                this.velocity.x += boostVelocity.x;
-                this.velocity.z += boostVelocity.z;
+            if (this.isOnGround) {
+                this.speed += this.boostForce * deltaTime;
+            } else {
+                // If in air, thrust along the car's full 3D nose direction
+                this.velocity.addScaledVector(forwardDir, this.boostForce * 0.5 * deltaTime);
             }
         }
         
         // Clamp speed to max speed
-        const effectiveMaxSpeed = this.isBoosting ? this.maxSpeed * 1.5 : this.maxSpeed;
-        this.speed = clamp(this.speed, -this.maxSpeed * 0.6, effectiveMaxSpeed);
+        const effectiveMaxSpeed = this.isBoosting ? this.maxSpeed * this.boostSpeedFactor : this.maxSpeed;
+        if (this.isOnGround) {
+            this.speed = clamp(this.speed, -this.maxSpeed * 0.6, effectiveMaxSpeed);
+        } else {
+            this.velocity.clampLength(0, this.maxSpeed * this.boostSpeedFactor);
+        }
         
         // Check if drifting - only on ground
         this.isDrifting = this.controls.drift && Math.abs(this.speed) > 20 && this.isOnGround;
         
-        // Handle turning - now works in air too
+        // Powersliding drops rear grip quickly; letting go brings it back more slowly
+        if (this.isDrifting) {
+            this.rearGrip = Math.max(this.powerslideGrip, this.rearGrip - this.gripLossRate * deltaTime);
+        } else {
+            this.rearGrip = Math.min(this.tireGrip, this.rearGrip + this.gripRecoveryRate * deltaTime);
+        }
+        
+        // In the air the stick rotates the car on all three axes
+        if (!this.isOnGround) {
+            this.handleAirControl(deltaTime);
+        }
+        
+        // Handle turning on a surface
         let turnAmount = 0;
         
-        // Calculate turn amount based on controls
-        if (this.controls.left) {
-            turnAmount = isDrivingBackward ? -1 : 1;
-        } else if (this.controls.right) {
-            turnAmount = isDrivingBackward ? 1 : -1;
+        // Calculate turn amount based on controls (positive turns left)
+        if (steer !== 0) {
+            turnAmount = isDrivingBackward ? steer : -steer;
         }
         
-        if (turnAmount !== 0) {
+        if (!this.isOnGround) {
+            // Steering is handled by air control
+        } else if (turnAmount !== 0) {
             // Improved turning at speed - less reduction at higher speeds
             // and a higher minimum to ensure responsive turning
             const speedFactor = Math.max(
@@ -420,51 +317,302 @@ export class Car {
             // Increased base turn speed
             let effectiveTurnRate = this.turnSpeed * 1.5 * speedFactor;
             
-            // Apply drift boost if drifting
-            if (this.isDrifting) {
-                effectiveTurnRate *= this.driftTurnMultiplier;
-            }
-            
-            // Reduce turning effectiveness in air
-            if (!this.isOnGround) {
-                effectiveTurnRate *= this.airControlFactor;
-            }
+            // A sliding rear end lets the car rotate faster
+            const slip = 1 - this.getTraction();
+            effectiveTurnRate *= 1 + (this.driftTurnMultiplier - 1) * slip;
             
-            // Apply turn as angular velocity
-            this.angularVelocity = turnAmount * effectiveTurnRate;
+            // Apply turn as angular velocity around the car's up axis
+            this.angularVelocity.set(0, turnAmount * effectiveTurnRate, 0);
         } else {
             // Gradually reduce turning when no input
-            this.angularVelocity *= 0.9;
+            this.angularVelocity.multiplyScalar(0.9);
         }
         
-        // Apply movement in the car's forward direction
-        if (Math.abs(this.speed) > 0.1) {
-            // Calculate velocity based on current speed and direction
-            const moveVelocity = forwardDir.clone().multiplyScalar(this.speed);
+        // Tyres cancel sideways sliding; the front wheels always grip, the rear ones lose it in a powerslide
+        if (this.isOnGround) {
+            const lateralGrip = (this.tireGrip + this.rearGrip * 3) / 4;
+            lateralSpeed *= Math.max(0, 1 - lateralGrip * deltaTime);
             
-            // Keep the Y velocity (for jumps) but replace X and Z
-            this.velocity.x = moveVelocity.x;
-            this.velocity.z = moveVelocity.z;
-        } else {
-            // Apply friction to slow down X and Z velocity when speed is very low
-            this.velocity.x *= 0.95;
-            this.velocity.z *= 0.95;
+            // Rebuild the velocity along the surface from both parts
+            this.velocity.copy(forwardDir).multiplyScalar(this.speed).addScaledVector(leftDir, lateralSpeed);
         }
         
-        // Handle jump
+        // Handle jump - always away from the surface the car is on
         if (this.controls.jump && this.canJump && !this.isJumping && this.isOnGround) {
             // Apply jump force
-            this.velocity.y = this.jumpForce;
-            this.isOnGround = false;
+            this.velocity.addScaledVector(this.surfaceNormal, this.jumpForce);
+            this.leaveSurface();
             this.isJumping = true;
             this.canJump = false;
             this.jumpCooldown = this.jumpCooldownTime;
+            
+            // Open the double jump window
+            this.hasDoubleJump = true;
+            this.airTime = 0;
+        } else if (this.controls.jump && !this.isJumping && !this.isOnGround && this.hasDoubleJump) {
+            // Second jump needs a fresh press while still in the air
+            this.secondJump();
+            this.isJumping = true;
         } else if (!this.controls.jump) {
             this.isJumping = false;
         }
     }
     
-    reset(position = null) {
+    // Pitch on forward/back, yaw on left/right and roll on the air roll inputs
+    // Input speeds the spin up; without input the car keeps most of its angular momentum
+    handleAirControl(deltaTime) {
+        // Flips are animated by the dodge itself
+        if (this.dodge) return;
+        
+        const pitchInput = this.getPitchInput();
+        let yawInput = -this.getSteerInput();
+        let rollInput = (this.controls.airRollRight ? 1 : 0) - (this.controls.airRollLeft ? 1 : 0);
+        
+        // Free air roll: steering rolls the car instead of yawing it
+        if (this.controls.airRoll) {
+            rollInput = clamp(rollInput - yawInput, -1, 1);
+            yawInput = 0;
+        }
+        
+        const inputs = new THREE.Vector3(pitchInput, yawInput, rollInput);
+        const accelerations = new THREE.Vector3(
+            this.airPitchAcceleration,
+            this.airYawAcceleration,
+            this.airRollAcceleration
+        );
+        
+        for (let axis = 0; axis < 3; axis++) {
+            const input = inputs.getComponent(axis);
+            const rate = this.angularVelocity.getComponent(axis);
+            
+            if (input !== 0) {
+                this.angularVelocity.setComponent(axis, rate + input * accelerations.getComponent(axis) * deltaTime);
+            } else {
+                this.angularVelocity.setComponent(axis, rate * Math.max(0, 1 - this.airAngularDamping * deltaTime));
+            }
+        }
+        
+        this.angularVelocity.clampLength(0, this.maxAngularSpeed);
+    }
+    
+    // Double jump, or a dodge if a direction is held
+    secondJump() {
+        this.hasDoubleJump = false;
+        
+        // Dodge direction in the car's local space (+x is the car's left, +z its front)
+        // A stick only counts once it is pushed past the dodge deadzone
+        const dodgeInput = value => (Math.abs(value) >= this.dodgeDeadzone ? value : 0);
+        const direction = new THREE.Vector3(
+            dodgeInput(-this.getSteerInput()),
+            0,
+            dodgeInput(this.getPitchInput())
+        );
+        
+        if (direction.lengthSq() === 0) {
+            // Plain double jump
+            this.velocity.addScaledVector(this.getUpDirection(), this.doubleJumpForce);
+            return;
+        }
+        
+        direction.normalize();
+        
+        // Push the car along its heading, flattened so a tilted car still dodges sideways
+        const forwardDir = this.getForwardDirection().setY(0).normalize();
+        const leftDir = this.getRightDirection().negate().setY(0).normalize();
+        const dodgeDirection = forwardDir.multiplyScalar(direction.z)
+            .addScaledVector(leftDir, direction.x)
+            .normalize();
+        
+        this.velocity.addScaledVector(dodgeDirection, this.dodgeForce);
+        
+        // Dodges stop the car falling so they travel flat
+        this.velocity.y = Math.max(this.velocity.y, 0);
+        
+        // Flip around the axis at right angles to the dodge:
+        // front/back flips pitch around local X, side flips roll around local Z
+        this.angularVelocity.set(0, 0, 0);
+        this.dodge = {
+            axis: new THREE.Vector3(direction.z, 0, -direction.x).normalize(),
+            elapsed: 0
+        };
+    }
+    
+    // Advance the flip animation of an active dodge
+    updateDodge(deltaTime) {
+        if (!this.dodge) return;
+        
+        const step = Math.min(deltaTime, this.dodgeDuration - this.dodge.elapsed);
+        const flip = new THREE.Quaternion().setFromAxisAngle(
+            this.dodge.axis,
+            (Math.PI * 2 * step) / this.dodgeDuration
+        );
+        this.quaternion.multiply(flip).normalize();
+        
+        this.dodge.elapsed += step;
+        if (this.dodge.elapsed >= this.dodgeDuration) {
+            this.dodge = null;
+        }
+    }
+    
+    // Spin of an active dodge in world space (rad/s)
+    getDodgeAngularVelocity() {
+        if (!this.dodge) return new THREE.Vector3(0, 0, 0);
+        
+        return this.dodge.axis.clone()
+            .applyQuaternion(this.quaternion)
+            .multiplyScalar((Math.PI * 2) / this.dodgeDuration);
+    }
+    
+    // Local directions of the car in world space
+    getForwardDirection() {
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+    }
+    
+    getUpDirection() {
+        return new THREE.Vector3(0, 1, 0).applyQuaternion(this.quaternion);
+    }
+    
+    getRightDirection() {
+        return new THREE.Vector3(-1, 0, 0).applyQuaternion(this.quaternion);
+    }
+    
+    // Keep the Euler rotation in step with the quaternion for code that reads it
+    syncRotation() {
+        this.rotation.setFromQuaternion(this.quaternion);
+    }
+    
+    // How far the car's box reaches along a direction, measured from its center
+    getExtentAlong(direction) {
+        return (
+            Math.abs(this.getRightDirection().dot(direction)) * this.dimensions.width / 2 +
+            Math.abs(this.getUpDirection().dot(direction)) * this.groundLevel +
+            Math.abs(this.getForwardDirection().dot(direction)) * this.dimensions.length / 2
+        );
+    }
+    
+    // How much the rear tyres are gripping (1 = full grip, lower while powersliding)
+    getTraction() {
+        return this.rearGrip / this.tireGrip;
+    }
+    
+    // Gravity pulls the car along the surface and off walls when it's too slow
+    updateSurfaceDriving(deltaTime, stadium) {
+        // Driving off the edge of a surface (e.g. into the goal mouth)
+        if (!stadium.isSurfaceDrivable(this.surface, this.position)) {
+            this.leaveSurface();
+            return;
+        }
+        
+        // The floor holds the car up by itself
+        if (this.surfaceNormal.y >= this.floorNormalThreshold) return;
+        
+        // On walls and the ceiling, gravity pulls the car down the surface (the tyres fight the sideways part)
+        const gravityAlongSurface = new THREE.Vector3(0, -this.gravity, 0).projectOnPlane(this.surfaceNormal);
+        this.velocity.addScaledVector(gravityAlongSurface, deltaTime);
+        
+        // Too slow to stick: fall off
+        if (this.velocity.length() < this.minSurfaceSpeed) {
+            this.velocity.addScaledVector(this.surfaceNormal, this.surfaceDetachForce);
+            this.leaveSurface();
+        }
+    }
+    
+    // Start driving on a surface, turning the car so its wheels face it
+    attachToSurface(surface) {
+        if (this.isOnGround) {
+            // Driving round a corner carries the momentum onto the new surface
+            const alignment = new THREE.Quaternion().setFromUnitVectors(this.surfaceNormal, surface.normal);
+            this.quaternion.premultiply(alignment).normalize();
+            this.velocity.applyQuaternion(alignment);
+        } else {
+            // Landing puts the car on its wheels and keeps only the momentum along the surface
+            this.landOnWheels(surface.normal);
+            this.velocity.projectOnPlane(surface.normal);
+        }
+        
+        // Wheels on the surface stop any tumbling
+        this.angularVelocity.set(0, 0, 0);
+        
+        this.surface = surface;
+        this.surfaceNormal.copy(surface.normal);
+        this.isOnGround = true;
+        this.speed = this.velocity.dot(this.getForwardDirection());
+        
+        // Touching down ends any flip and the double jump
+        this.dodge = null;
+        this.hasDoubleJump = false;
+    }
+    
+    // Turn the car wheels-down onto a surface, keeping its heading as much as possible
+    landOnWheels(normal) {
+        // Heading along the surface; a car landing nose-first takes its roof direction instead
+        const forwardDir = this.getForwardDirection().projectOnPlane(normal);
+        if (forwardDir.lengthSq() < 1e-4) {
+            forwardDir.copy(this.getUpDirection()).projectOnPlane(normal);
+        }
+        forwardDir.normalize();
+        
+        // Local X points to the car's left
+        const leftDir = new THREE.Vector3().crossVectors(normal, forwardDir);
+        const basis = new THREE.Matrix4().makeBasis(leftDir, normal, forwardDir);
+        this.quaternion.setFromRotationMatrix(basis);
+    }
+    
+    // Become airborne
+    leaveSurface() {
+        this.surface = null;
+        this.isOnGround = false;
+    }
+    
+    // Resolve contact with the floor, walls and ceiling
+    handleSurfaceContact(stadium) {
+        // Two passes: changing surface turns the car, which can push it into a neighbouring one
+        for (let pass = 0; pass < 2; pass++) {
+            for (const surface of stadium.surfaces) {
+                const distance = stadium.getSurfaceDistance(surface, this.position);
+                
+                // Stay glued to the surface we're driving on
+                if (surface === this.surface) {
+                    this.position.addScaledVector(surface.normal, this.groundLevel - distance);
+                    continue;
+                }
+                
+                const extent = this.getExtentAlong(surface.normal);
+                if (distance >= extent) continue;
+                
+                const isMovingInto = this.velocity.dot(surface.normal) < 0;
+                const isDrivable = stadium.isSurfaceDrivable(surface, this.position);
+                
+                if (isMovingInto && isDrivable && this.canDriveOnto(surface)) {
+                    // Drive (or land) onto the new surface
+                    this.attachToSurface(surface);
+                    this.position.addScaledVector(surface.normal, this.groundLevel - distance);
+                } else {
+                    // Blocked: push out and bounce with some energy loss
+                    this.position.addScaledVector(surface.normal, extent - distance);
+                    
+                    if (isMovingInto) {
+                        const normalSpeed = this.velocity.dot(surface.normal);
+                        this.velocity.addScaledVector(surface.normal, -1.5 * normalSpeed);
+                    }
+                }
+            }
+        }
+    }
+    
+    // Check if the car can take this surface as its new "down"
+    canDriveOnto(surface) {
+        // Driving from one surface to the next, or landing on the floor
+        if (this.isOnGround || surface.normal.y >= this.floorNormalThreshold) return true;
+        
+        // Landing on a wall or the ceiling needs the wheels facing it and enough speed to stick
+        const wheelsFacing = this.getUpDirection().dot(surface.normal) > 0.5;
+        const alongSurface = this.velocity.clone().projectOnPlane(surface.normal).length();
+        return wheelsFacing && alongSurface >= this.minSurfaceSpeed;
+    }
+    
+    // Put the car back on the floor at a spawn (its team's default one if not given)
+    reset(position = null, yaw = null) {
         // Reset car position
         if (position) {
             this.position.copy(position);
@@ -476,106 +624,288 @@ export class Car {
             );
         }
         
-        // Reset car rotation based on team
-        this.rotation.set(0, this.team === 'blue' ? 0 : Math.PI, 0);
+        // Reset car rotation, by default facing the other team's end
+        const heading = yaw ?? (this.team === 'blue' ? 0 : Math.PI);
+        this.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), heading);
+        this.syncRotation();
         
         // Reset car velocity and angular velocity
         this.velocity.set(0, 0, 0);
-        this.angularVelocity = 0;
+        this.angularVelocity.set(0, 0, 0);
         
         // Reset car state
         this.speed = 0;
-        this.boostAmount = 100;
+        this.boostAmount = this.startingBoost;
         this.canJump = true;
         this.isJumping = false;
         this.jumpCooldown = 0;
         this.isDrifting = false;
         this.isOnGround = true;
+        this.hasDoubleJump = false;
+        this.airTime = 0;
+        this.dodge = null;
+        this.surface = null;
+        this.surfaceNormal.set(0, 1, 0);
+        this.rearGrip = this.tireGrip;
+        
+        // Clear demolition state
+        this.isDemolished = false;
+        this.respawnTimer = 0;
         
         // Reset controls
-        this.controls = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            boost: false,
-            jump: false,
-            drift: false
-        };
+        this.controls = createControls();
         
-        // Update mesh position and rotation
-        this.mesh.position.copy(this.position);
-        this.mesh.rotation.copy(this.rotation);
+        // Teleport: nothing to interpolate from
+        this.savePreviousTransform();
     }
     
-    // Handle collision with the ball
-    handleBallCollision(ball) {
-        // Get ball properties from the ball's CANNON physics body
-        const ballPosition = ball.position;
-        const visualBallRadius = ball.radius || 5; // Default to 5 if not specified
-        const hitboxMultiplier = 2.0; // Increased from 1.5 to 2.0 to make collision more sensitive
-        const effectiveBallRadius = visualBallRadius * hitboxMultiplier;
+    // Remember the transform at the start of a simulation tick
+    savePreviousTransform() {
+        this.previousPosition.copy(this.position);
+        this.previousQuaternion.copy(this.quaternion);
+    }
+    
+    // Demolished and done waiting: the match picks a spawn and calls respawn()
+    get isRespawnDue() {
+        return this.isDemolished && this.respawnTimer <= 0;
+    }
+    
+    // Respawn after a demolition at the given spawn, keeping whatever the driver is holding
+    respawn(position, yaw) {
+        const controls = this.controls;
+        this.reset(position, yaw);
+        this.controls = controls;
+    }
+    
+    // Remove the car from play until its respawn timer runs out
+    demolish() {
+        this.isDemolished = true;
+        this.respawnTimer = this.respawnTime;
+        this.isBoosting = false;
+        this.velocity.set(0, 0, 0);
+        this.speed = 0;
+    }
+    
+    // Add boost from a pad, returns false if the tank is already full
+    addBoost(amount) {
+        if (this.boostAmount >= 100) return false;
+        
+        this.boostAmount = Math.min(100, this.boostAmount + amount);
+        return true;
+    }
+    
+    // Supersonic cars demolish opponents they hit nose-first
+    get isSupersonic() {
+        return this.speed >= this.maxSpeed * this.supersonicFactor;
+    }
+    
+    // Apply a sudden change in velocity from a hit (bump, ball touch)
+    // Sideways knocks are left for the tyres to grip back from
+    applyImpact(deltaVelocity) {
+        this.velocity.add(deltaVelocity);
+        this.speed = this.velocity.dot(this.getForwardDirection());
+        
+        // Hits that lift the car off its surface send it flying
+        if (this.isOnGround && deltaVelocity.dot(this.surfaceNormal) > this.impactLiftThreshold) {
+            this.leaveSurface();
+        }
+    }
+    
+    // Handle collision with another car (bumps and demolitions)
+    handleCarCollision(otherCar) {
+        if (this.isDemolished || otherCar.isDemolished) return null;
+        
+        // Simple sphere overlap test between the two cars
+        const offset = new THREE.Vector3().subVectors(otherCar.position, this.position);
+        const distance = offset.length();
+        const minDistance = this.collisionRadius + otherCar.collisionRadius;
+        
+        if (distance >= minDistance || distance === 0) return null;
+        
+        // Collision normal (direction from this car to the other)
+        const normal = offset.divideScalar(distance);
+        
+        // Push the cars apart so they don't stay overlapped
+        const overlap = minDistance - distance;
+        this.position.addScaledVector(normal, -overlap / 2);
+        otherCar.position.addScaledVector(normal, overlap / 2);
+        
+        // Only resolve cars that are moving towards each other
+        const myVelocity = this.velocity.clone();
+        const otherVelocity = otherCar.velocity.clone();
+        const closingSpeed = myVelocity.sub(otherVelocity).dot(normal);
+        if (closingSpeed <= 0) return null;
+        
+        // Supersonic nose hits on opponents are demolitions
+        if (this.team !== otherCar.team) {
+            if (this.canDemolish(normal)) {
+                otherCar.demolish();
+                return { type: 'demolition', attacker: this, victim: otherCar };
+            }
+            
+            if (otherCar.canDemolish(normal.clone().negate())) {
+                this.demolish();
+                return { type: 'demolition', attacker: otherCar, victim: this };
+            }
+        }
+        
+        // Bump: equal masses exchange momentum along the normal
+        const impulse = closingSpeed * (1 + this.bumpRestitution) / 2;
+        const pop = Math.min(closingSpeed / this.maxSpeed, 1) * this.bumpPopForce;
+        
+        // The car driving harder into the other is the attacker; the car it hits pops up
+        const isAttacker = this.velocity.dot(normal) >= -otherCar.velocity.dot(normal);
+        const attacker = isAttacker ? this : otherCar;
+        const victim = isAttacker ? otherCar : this;
+        const victimSide = isAttacker ? 1 : -1; // Direction of the normal the victim is pushed along
+        
+        attacker.applyImpact(normal.clone().multiplyScalar(-impulse * victimSide));
+        victim.applyImpact(normal.clone().multiplyScalar(impulse * victimSide).setY(pop));
+        
+        return { type: 'bump', attacker, victim };
+    }
+    
+    // Check if this car would demolish whatever it hits along the given normal
+    canDemolish(normal) {
+        if (!this.isSupersonic) return false;
         
-        // Calculate car's bounding sphere for simple collision
-        const carRadius = Math.max(
+        // Must hit with the front of the car
+        return this.getForwardDirection().dot(normal) > 0.7;
+    }
+    
+    // Half-size of the car's oriented hitbox in its local space
+    getHitboxHalfExtents() {
+        return new THREE.Vector3(
             this.dimensions.width / 2,
             this.dimensions.height / 2,
             this.dimensions.length / 2
-        ) * 1.2; // Increased car hitbox by 20% for better collision detection
-        
-        // Calculate distance between car and ball centers
-        const distance = this.position.distanceTo(ballPosition);
-        
-        // Check if collision occurred - using the larger effective radius
-        if (distance < (carRadius + effectiveBallRadius)) {
-            // Calculate collision normal (direction from car to ball)
-            const normal = new THREE.Vector3()
-                .subVectors(ballPosition, this.position)
-                .normalize();
-            
-            // Calculate impact force based on car's speed and mass
-            const impactForce = Math.abs(this.speed) * 0.4; // Increased from 0.3 to 0.4 for stronger hits
-            
-            // Add extra force based on how direct the hit is
-            // Get car's forward direction
-            const forwardDir = new THREE.Vector3(0, 0, 1).applyEuler(this.rotation);
-            
-            // Calculate how direct the hit is (1 = direct hit, 0 = glancing hit)
-            const directness = Math.abs(forwardDir.dot(normal));
-            
-            // Calculate final force with directness bonus
-            const finalForce = impactForce * (1 + directness * 0.8); // Increased directness bonus from 0.5 to 0.8
-            
-            // Apply impulse to the ball using its CANNON physics method
-            ball.applyImpulse(normal, finalForce);
-            
-            // Add a small upward force for more interesting bounces
-            if (this.speed > 30 && directness > 0.7) { // Reduced speed threshold from 40 to 30 and directness from 0.8 to 0.7
-                const upForce = Math.min(this.speed * 0.15, 7); // Increased upward force multiplier
-                const upVector = new THREE.Vector3(0, 1, 0);
-                ball.applyImpulse(upVector, upForce);
-            }
+        );
+    }
+    
+    // Find where a sphere touches the car's oriented hitbox
+    // Returns the world-space contact point, the normal pointing out of the car and the overlap depth
+    getHitboxContact(center, radius) {
+        const carQuaternion = this.quaternion.clone();
+        const inverseQuaternion = carQuaternion.clone().invert();
+        const halfExtents = this.getHitboxHalfExtents();
+        
+        // Sphere center in the car's local space
+        const localCenter = center.clone().sub(this.position).applyQuaternion(inverseQuaternion);
+        
+        // Closest point on the box to the sphere center
+        const closestPoint = localCenter.clone().clamp(halfExtents.clone().negate(), halfExtents);
+        const separation = localCenter.clone().sub(closestPoint);
+        const distance = separation.length();
+        
+        let localNormal;
+        let penetration;
+        
+        if (distance > 0) {
+            // Sphere center is outside the box
+            if (distance >= radius) return null;
             
-            // Apply a stronger bounce effect to the car for better feedback
-            const bounceStrength = finalForce * 0.08; // Increased from 0.05 to 0.08
-            const carBounceBack = normal.clone().multiplyScalar(-bounceStrength);
-            this.velocity.add(carBounceBack);
+            localNormal = separation.divideScalar(distance);
+            penetration = radius - distance;
+        } else {
+            // Sphere center is inside the box, push it out through the nearest face
+            const faceDistances = [
+                halfExtents.x - Math.abs(localCenter.x),
+                halfExtents.y - Math.abs(localCenter.y),
+                halfExtents.z - Math.abs(localCenter.z)
+            ];
+            const axis = faceDistances.indexOf(Math.min(...faceDistances));
+            const side = Math.sign(localCenter.getComponent(axis)) || 1;
             
-            // Return true to indicate collision occurred
-            return true;
+            localNormal = new THREE.Vector3().setComponent(axis, side);
+            closestPoint.setComponent(axis, side * halfExtents.getComponent(axis));
+            penetration = faceDistances[axis] + radius;
         }
         
-        // No collision
-        return false;
+        return {
+            point: closestPoint.applyQuaternion(carQuaternion).add(this.position),
+            normal: localNormal.applyQuaternion(carQuaternion),
+            penetration: penetration
+        };
+    }
+    
+    // Velocity of a point on the car, including its spin
+    getPointVelocity(point) {
+        const arm = point.clone().sub(this.position);
+        const spin = this.angularVelocity.clone()
+            .applyQuaternion(this.quaternion)
+            .add(this.getDodgeAngularVelocity())
+            .cross(arm);
+        return this.velocity.clone().add(spin);
+    }
+    
+    // Handle collision with the ball
+    handleBallCollision(ball) {
+        if (this.isDemolished) return false;
+        
+        // Get ball properties from the ball's CANNON physics body
+        const ballBody = ball.body;
+        const ballCenter = new THREE.Vector3(ballBody.position.x, ballBody.position.y, ballBody.position.z);
+        
+        // Test the ball against the car's oriented hitbox
+        const contact = this.getHitboxContact(ballCenter, ball.radius);
+        if (!contact) return false;
+        
+        const { point, normal, penetration } = contact;
+        
+        // Push the ball out of the car so it doesn't get hit again next frame
+        ballBody.position.x += normal.x * penetration;
+        ballBody.position.y += normal.y * penetration;
+        ballBody.position.z += normal.z * penetration;
+        
+        // Velocity of the ball's surface at the contact point (including its spin)
+        const ballArm = point.clone().sub(ballCenter);
+        const ballSpin = new THREE.Vector3(
+            ballBody.angularVelocity.x,
+            ballBody.angularVelocity.y,
+            ballBody.angularVelocity.z
+        ).cross(ballArm);
+        const ballPointVelocity = ball.velocity.add(ballSpin);
+        
+        // Relative velocity of the car against the ball at the contact point
+        const relativeVelocity = this.getPointVelocity(point).sub(ballPointVelocity);
+        const approachSpeed = relativeVelocity.dot(normal);
+        
+        // Only hit a ball the car is moving into
+        if (approachSpeed <= 0) return false;
+        
+        // Normal impulse for two bodies of different mass
+        const effectiveMass = 1 / (1 / ball.mass + 1 / this.mass);
+        const normalImpulse = effectiveMass * approachSpeed * (1 + this.ballHitRestitution);
+        
+        // Friction along the surface drags the ball sideways and gives it spin
+        const tangentVelocity = relativeVelocity.clone().addScaledVector(normal, -approachSpeed);
+        const tangentImpulse = tangentVelocity.multiplyScalar(effectiveMass * this.ballHitFriction);
+        tangentImpulse.clampLength(0, normalImpulse * this.ballHitFriction);
+        
+        // Apply the impulse at the contact point so off-center hits spin the ball
+        const impulse = normal.clone().multiplyScalar(normalImpulse).add(tangentImpulse);
+        ball.applyImpulse(impulse, impulse.length(), point);
+        
+        // The car recoils from the hit
+        this.applyImpact(impulse.clone().multiplyScalar(-1 / this.mass));
+        
+        // Return true to indicate collision occurred
+        return true;
     }
     
     // Compatibility methods for the rest of the game
     get body() {
+        const worldAngularVelocity = this.angularVelocity.clone().applyQuaternion(this.quaternion);
+        
         return {
             position: this.position,
             velocity: this.velocity,
-            quaternion: new THREE.Quaternion().setFromEuler(this.rotation),
-            angularVelocity: new CANNON.Vec3(0, this.angularVelocity, 0)
+            quaternion: this.quaternion.clone(),
+            angularVelocity: new CANNON.Vec3(
+                worldAngularVelocity.x,
+                worldAngularVelocity.y,
+                worldAngularVelocity.z
+            )
         };
     }
     
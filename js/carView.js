@@ -0,0 +1,245 @@
+/**
+ * CarView class for drawing a car and its boost trail
+ */
+import * as THREE from 'three';
+
+export class CarView {
+    constructor(scene, car) {
+        this.scene = scene;
+        this.car = car; // Simulated car to draw
+        
+        // Car meshes
+        this.mesh = null;
+        this.wheels = [];
+        this.boostParticles = [];
+        
+        this.createCar();
+    }
+    
+    createCar() {
+        // Create car body geometry
+        const bodyGeometry = new THREE.BoxGeometry(
+            this.car.dimensions.width,
+            this.car.dimensions.height,
+            this.car.dimensions.length
+        );
+        
+        // Create car material based on team
+        const bodyColor = this.car.team === 'blue' ? 0x0066ff : 0xff6600;
+        const bodyMaterial = new THREE.MeshStandardMaterial({
+            color: bodyColor,
+            roughness: 0.3,
+            metalness: 0.8
+        });
+        
+        // Create car mesh
+        this.mesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.mesh.position.copy(this.car.position);
+        this.mesh.quaternion.copy(this.car.quaternion);
+        this.scene.add(this.mesh);
+        
+        // Add details to the car
+        this.addCarDetails();
+        
+        // Create boost particles
+        this.createBoostParticles();
+    }
+    
+    addCarDetails() {
+        // Add roof
+        const roofGeometry = new THREE.BoxGeometry(
+            this.car.dimensions.width * 0.8,
+            this.car.dimensions.height * 0.4,
+            this.car.dimensions.length * 0.6
+        );
+        
+        const roofMaterial = new THREE.MeshStandardMaterial({
+            color: 0x222222,
+            roughness: 0.5,
+            metalness: 0.5
+        });
+        
+        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+        roof.position.set(0, this.car.dimensions.height * 0.7, -this.car.dimensions.length * 0.1);
+        roof.castShadow = true;
+        this.mesh.add(roof);
+        
+        // Add wheels
+        const wheelGeometry = new THREE.CylinderGeometry(2, 2, 1, 16);
+        wheelGeometry.rotateZ(Math.PI / 2);
+        
+        const wheelMaterial = new THREE.MeshStandardMaterial({
+            color: 0x111111,
+            roughness: 0.7,
+            metalness: 0.5
+        });
+        
+        // Wheel positions
+        const wheelPositions = [
+            { x: -this.car.dimensions.width / 2 - 0.5, y: -this.car.dimensions.height / 2 + 1, z: this.car.dimensions.length / 3 },
+            { x: this.car.dimensions.width / 2 + 0.5, y: -this.car.dimensions.height / 2 + 1, z: this.car.dimensions.length / 3 },
+            { x: -this.car.dimensions.width / 2 - 0.5, y: -this.car.dimensions.height / 2 + 1, z: -this.car.dimensions.length / 3 },
+            { x: this.car.dimensions.width / 2 + 0.5, y: -this.car.dimensions.height / 2 + 1, z: -this.car.dimensions.length / 3 }
+        ];
+        
+        wheelPositions.forEach(pos => {
+            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+            wheel.position.set(pos.x, pos.y, pos.z);
+            wheel.castShadow = true;
+            this.mesh.add(wheel);
+            this.wheels.push(wheel);
+        });
+        
+        // Add windshield
+        const windshieldGeometry = new THREE.BoxGeometry(
+            this.car.dimensions.width * 0.7,
+            this.car.dimensions.height * 0.3,
+            this.car.dimensions.length * 0.1
+        );
+        
+        const windshieldMaterial = new THREE.MeshStandardMaterial({
+            color: 0x88ccff,
+            roughness: 0.1,
+            metalness: 0.9,
+            transparent: true,
+            opacity: 0.7
+        });
+        
+        const windshield = new THREE.Mesh(windshieldGeometry, windshieldMaterial);
+        windshield.position.set(0, this.car.dimensions.height * 0.5, this.car.dimensions.length * 0.2);
+        this.mesh.add(windshield);
+        
+        // Add boost nozzle
+        const nozzleGeometry = new THREE.CylinderGeometry(1, 1.5, 2, 16);
+        
+        const nozzleMaterial = new THREE.MeshStandardMaterial({
+            color: 0x333333,
+            roughness: 0.5,
+            metalness: 0.8
+        });
+        
+        const nozzle = new THREE.Mesh(nozzleGeometry, nozzleMaterial);
+        nozzle.position.set(0, -1, -this.car.dimensions.length / 2 - 1);
+        nozzle.rotation.x = Math.PI / 2;
+        this.mesh.add(nozzle);
+    }
+    
+    createBoostParticles() {
+        const particleCount = 100;
+        const particleGeometry = new THREE.SphereGeometry(0.5, 8, 8);
+        
+        // Create particle material based on team
+        const particleColor = this.car.team === 'blue' ? 0x0088ff : 0xff8800;
+        
+        const particleMaterial = new THREE.MeshStandardMaterial({
+            color: particleColor,
+            transparent: true,
+            opacity: 0.8,
+            emissive: particleColor,
+            emissiveIntensity: 2.0,
+            roughness: 0.3,
+            metalness: 0.7
+        });
+        
+        // Create particles
+        for (let i = 0; i < particleCount; i++) {
+            const particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
+            particle.visible = false;
+            this.scene.add(particle);
+            
+            this.boostParticles.push({
+                mesh: particle,
+                life: 0,
+                speed: Math.random() * 2 + 1,
+                offset: new THREE.Vector3(
+                    (Math.random() - 0.5) * 2,
+                    (Math.random() - 0.5) * 2,
+                    (Math.random() - 0.5) * 2
+                )
+            });
+        }
+    }
+    
+    updateBoostParticles(deltaTime, isBoosting) {
+        if (!isBoosting) {
+            // Hide all particles when not boosting
+            this.boostParticles.forEach(particle => {
+                particle.mesh.visible = false;
+                particle.life = 0;
+            });
+            return;
+        }
+        
+        // Get car's backward direction (from the drawn, interpolated transform)
+        const backwardDirection = new THREE.Vector3(0, 0, -1).applyQuaternion(this.mesh.quaternion);
+        
+        // Get position of the boost nozzle
+        const nozzlePosition = new THREE.Vector3(0, -1, -this.car.dimensions.length / 2 - 1);
+        nozzlePosition.applyQuaternion(this.mesh.quaternion);
+        nozzlePosition.add(this.mesh.position);
+        
+        // Update particles
+        this.boostParticles.forEach(particle => {
+            if (particle.life <= 0) {
+                // Reset particle
+                particle.mesh.position.copy(nozzlePosition);
+                particle.mesh.visible = true;
+                particle.life = 1.0;
+                
+                // Randomize particle color for cool effect
+                const hue = Math.random();
+                const particleColor = this.car.team === 'blue' 
+                    ? new THREE.Color().setHSL(0.6 + hue * 0.1, 1, 0.5) // Blue variations
+                    : new THREE.Color().setHSL(0.05 + hue * 0.1, 1, 0.5); // Orange variations
+                
+                particle.mesh.material.color.set(particleColor);
+                
+                // Randomize particle size
+                const baseSize = Math.random() * 0.5 + 0.5;
+                particle.mesh.scale.set(baseSize, baseSize, baseSize);
+                
+                particle.speed = Math.random() * 3 + 2;
+            } else {
+                // Update particle position
+                const moveDirection = backwardDirection.clone().add(particle.offset);
+                particle.mesh.position.addScaledVector(moveDirection, particle.speed * deltaTime * 15);
+                
+                // Update particle life
+                particle.life -= deltaTime * 1.5;
+                
+                // Update particle appearance
+                particle.mesh.material.opacity = particle.life * 0.8;
+                const scale = particle.life * 0.7 + 0.3;
+                particle.mesh.scale.set(scale, scale, scale);
+                
+                // Hide particle when life is over
+                if (particle.life <= 0) {
+                    particle.mesh.visible = false;
+                }
+            }
+        });
+    }
+    
+    // Draw the car between its last two simulation ticks (alpha 0-1)
+    update(alpha, deltaTime) {
+        this.mesh.position.lerpVectors(this.car.previousPosition, this.car.position, alpha);
+        this.mesh.quaternion.slerpQuaternions(this.car.previousQuaternion, this.car.quaternion, alpha);
+        
+        // Demolished cars disappear until they respawn
+        this.mesh.visible = !this.car.isDemolished;
+        
+        // Update boost particles
+        this.updateBoostParticles(deltaTime, this.car.isBoosting && !this.car.isDemolished);
+    }
+    
+    // Draw a recorded state of the car instead (see ReplayBuffer)
+    showRecorded(carFrame, deltaTime) {
+        this.mesh.position.copy(carFrame.position);
+        this.mesh.quaternion.copy(carFrame.quaternion);
+        this.mesh.visible = !carFrame.isDemolished;
+        
+        this.updateBoostParticles(deltaTime, carFrame.isBoosting && !carFrame.isDemolished);
+    }
+}
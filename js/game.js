@@ -1,48 +1,87 @@
 /**
- * Game class for managing the game state and mechanics
+ * Game class for presenting a match: rendering, cameras, audio, UI and player input
+ * The simulation itself lives in Match; each local player gets a PlayerView (split screen)
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import * as CANNON from 'cannon';
-import { Stadium } from './stadium.js';
-import { Ball } from './ball.js';
-import { Car } from './car.js';
+import { Match } from './match.js';
+import { StadiumView } from './stadiumView.js';
+import { BallView } from './ballView.js';
+import { CarView } from './carView.js';
+import { PlayerView, SPLIT_SCREEN_LAYOUTS } from './playerView.js';
+import { InputBindings, MAX_PLAYERS, getBindingLabel } from './inputBindings.js';
+import { PlayerInput } from './playerInput.js';
+import { BindingsMenu } from './bindingsMenu.js';
+import { TrainingMenu } from './trainingMenu.js';
+import { ReplayCamera } from './replayCamera.js';
+import { ReplayViewer } from './replayViewer.js';
+import { BotBridge } from './botBridge.js';
+import { MatchRecording } from './matchRecording.js';
+import { addLighting } from './lighting.js';
 import { AudioManager } from './audio.js';
-import { formatTime, directionFromRotation, clamp } from './utils.js';
+import { clamp, formatTime } from './utils.js';
 
 export class Game {
-    constructor(scene, world) {
+    constructor(scene, options = {}) {
         this.scene = scene;
-        this.world = world;
         
-        // Game objects
-        this.stadium = null;
-        this.ball = null;
-        this.playerCar = null;
-        this.opponentCar = null;
+        // Local players alternate between the teams, or all play for blue in co-op
+        this.players = clamp(options.players ?? 1, 1, MAX_PLAYERS);
+        const humanTeams = Array.from({ length: this.players }, (_, i) =>
+            options.coop || i % 2 === 0 ? 'blue' : 'orange'
+        );
+        
+        // Simulation (options are passed on, e.g. { ballProfile: 'beach' })
+        this.match = new Match({ ...options, humanTeams });
+        
+        // External bots, if the page was opened to take them (see index.ts)
+        this.botBridge = options.botServer ? new BotBridge(this.match, options.botServer) : null;
+        
+        // Views of the match objects
+        this.stadiumView = null;
+        this.ballView = null;
+        this.carViews = [];
+        
+        // Each local player's screen area, bindings and input
+        this.playerViews = [];
+        this.bindings = [];
+        this.inputs = [];
+        this.gamepadSettings = options.gamepad; // Deadzone and sensitivity, see playerInput.js
+        
+        // Controls screen
+        this.bindingsMenu = null;
+        this.isPausedForMenu = false;
+        
+        // Viewer for saved matches (opened from the start screen)
+        this.replayViewer = null;
+        
+        // Training packs screen and shot editor (free play)
+        this.trainingMenu = null;
+        this.shotArrow = null; // Ball velocity of the shot being edited
+        
+        // Predicted path of the ball, drawn in free play while switched on
+        this.ballPathLine = null;
+        this.isShowingBallPath = false;
         
         // Audio manager
         this.audio = new AudioManager();
         
-        // Game state
-        this.score = {
-            blue: 0,
-            orange: 0
-        };
-        this.gameTime = 5 * 60; // 5 minutes in seconds
-        this.timeRemaining = this.gameTime;
-        this.isGameOver = false;
-        this.isPaused = false;
-        this.countdownTime = 3; // Countdown time in seconds
-        this.isCountingDown = false;
-        
-        // Track AI boost state
-        this.aiWasBoosting = false;
+        // Track boost state for the boost sound (on while any car boosts)
+        this.wasBoosting = false;
         
         // UI elements
         this.blueScoreElement = document.getElementById('blue-score');
         this.orangeScoreElement = document.getElementById('orange-score');
         this.timerElement = document.getElementById('timer');
+        this.matchEndElement = document.getElementById('match-end');
+        this.matchResultElement = document.getElementById('match-result');
+        this.matchFinalScoreElement = document.getElementById('match-final-score');
+        this.startScreenElement = document.getElementById('start-screen');
+        this.startStatusElement = document.getElementById('start-status');
+        this.saveLastReplayButton = document.getElementById('save-last-replay-button');
+        this.replayBannerElement = document.getElementById('replay-banner');
+        this.freePlayHelpElement = document.getElementById('free-play-help');
+        this.trainingHudElement = document.getElementById('training-hud');
         
         // Create a large countdown display element
         this.countdownDisplay = document.createElement('div');
@@ -60,19 +99,11 @@ export class Game {
         document.getElementById('game-container').appendChild(this.countdownDisplay);
         
         // Camera settings
-        this.cameraMode = 'follow'; // 'follow', 'orbit', 'top'
-        this.camera = null;
+        this.cameraMode = 'follow'; // 'follow' (a camera per player), 'orbit', 'top'
+        this.camera = null; // Full-screen spectator camera for the orbit and top modes
         this.orbitControls = null;
-        
-        // Camera smoothing
-        this.cameraTargetPosition = new THREE.Vector3();
-        this.cameraTargetLookAt = new THREE.Vector3();
-        this.cameraSmoothing = 0.08; // Lower value = smoother camera (0-1)
-        
-        // Camera stability
-        this.cameraUpVector = new THREE.Vector3(0, 1, 0); // Keep camera upright
-        this.cameraMaxTilt = Math.PI / 6; // Limit camera tilt to 30 degrees
-        this.cameraStabilizationFactor = 0.95; // Higher value = more stable
+        this.replayCamera = null; // Full-screen camera for instant replays
+        this.wasJumpHeld = false; // Any player's jump, to skip a replay on the press
         
         // Lighting
         this.lights = [];
@@ -82,37 +113,41 @@ export class Game {
     }
     
     init() {
-        // Create stadium
-        this.stadium = new Stadium(this.scene, this.world);
-        
-        // Create ball
-        this.ball = new Ball(this.scene, this.world);
-        
-        // Create player car (blue team) with enhanced speed
-        this.playerCar = new Car(this.scene, this.world, 'blue', true);
-        // Enhance player car speed and acceleration
-        this.playerCar.maxSpeed = 100; // Increased from 80
-        this.playerCar.acceleration = 150; // Increased from 120
-        this.playerCar.boostForce = 250; // Increased from 200
-        
-        // Create opponent car (orange team) with reduced speed
-        this.opponentCar = new Car(this.scene, this.world, 'orange', false);
-        // Reduce opponent car speed and acceleration
-        this.opponentCar.maxSpeed = 65; // Reduced from 80
-        this.opponentCar.acceleration = 90; // Reduced from 120
-        this.opponentCar.boostForce = 160; // Reduced from 200
-        
-        // Set up camera
+        // Create the views of the stadium, ball and cars
+        this.stadiumView = new StadiumView(this.scene, this.match.stadium);
+        this.ballView = new BallView(this.scene, this.match.ball);
+        this.carViews = this.match.cars.map(car => new CarView(this.scene, car));
+        
+        // Set up cameras
         this.setupCamera();
+        this.setupPlayers();
         
         // Set up lighting
         this.setupLighting();
         
+        this.replayViewer = new ReplayViewer(this.scene.background, () => this.handleViewerClosed());
+        
+        this.trainingMenu = new TrainingMenu(this.match, () => this.inputs.forEach(input => input.releaseAll()));
+        this.shotArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 1, 0xffff00);
+        this.shotArrow.visible = false;
+        this.scene.add(this.shotArrow);
+        
+        // One vertex per point of the prediction, drawn up to however far the path goes
+        const prediction = this.match.ballPrediction;
+        const pointCount = Math.round(prediction.horizon / prediction.timeStep) + 1;
+        const pathGeometry = new THREE.BufferGeometry();
+        pathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+        this.ballPathLine = new THREE.Line(pathGeometry, new THREE.LineBasicMaterial({ color: 0xffff00 }));
+        this.ballPathLine.frustumCulled = false;
+        this.ballPathLine.visible = false;
+        this.scene.add(this.ballPathLine);
+        
         // Set up event listeners
         this.setupEventListeners();
+        this.setupMatchListeners();
         
         // Start countdown
-        this.startCountdown();
+        this.match.startMatch();
     }
     
     setupCamera() {
@@ -128,10 +163,6 @@ export class Game {
         this.camera.position.set(0, 40, 100);
         this.camera.lookAt(0, 0, 0);
         
-        // Initialize camera target positions
-        this.cameraTargetPosition.copy(this.camera.position);
-        this.cameraTargetLookAt.set(0, 0, 0);
-        
         // Create orbit controls for debug/spectator mode
         this.orbitControls = new OrbitControls(this.camera, document.getElementById('game'));
         this.orbitControls.enableDamping = true;
@@ -141,148 +172,291 @@ export class Game {
         this.orbitControls.maxDistance = 500;
         this.orbitControls.maxPolarAngle = Math.PI / 2;
         this.orbitControls.enabled = false; // Disabled by default
+        
+        this.replayCamera = new ReplayCamera(this.match.stadium);
+    }
+    
+    // Give each local player a view of their car and their input bindings
+    setupPlayers() {
+        const layout = SPLIT_SCREEN_LAYOUTS[this.players];
+        
+        this.playerViews = this.match.playerCars.map((car, i) =>
+            new PlayerView(car, this.getCarView(car), this.ballView, layout[i])
+        );
+        this.bindings = this.match.playerCars.map((car, i) => new InputBindings(i));
+        this.inputs = this.match.playerCars.map((car, i) =>
+            new PlayerInput(car, this.bindings[i], this.gamepadSettings, action => this.handleAction(action, i))
+        );
+        this.bindingsMenu = new BindingsMenu(this.bindings, this.inputs, () => this.handleMenuClosed());
+        
+        // Pads plugged in before the page loaded
+        if (navigator.getGamepads) {
+            Array.from(navigator.getGamepads()).forEach(gamepad => {
+                if (gamepad) this.connectGamepad(gamepad.index);
+            });
+        }
+    }
+    
+    // A new pad goes to the first player without one
+    connectGamepad(gamepadIndex) {
+        if (this.inputs.some(input => input.gamepadIndex === gamepadIndex)) return;
+        
+        const input = this.inputs.find(input => !input.isConnected);
+        if (input) {
+            input.connect(gamepadIndex);
+        }
+    }
+    
+    disconnectGamepad(gamepadIndex) {
+        const input = this.inputs.find(input => input.gamepadIndex === gamepadIndex);
+        if (input) {
+            input.disconnect();
+        }
     }
     
     setupLighting() {
-        // Add ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
-        this.scene.add(ambientLight);
-        this.lights.push(ambientLight);
-        
-        // Add directional light (sun)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(100, 200, 50);
-        directionalLight.castShadow = true;
-        
-        // Configure shadow properties
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        directionalLight.shadow.camera.near = 0.5;
-        directionalLight.shadow.camera.far = 500;
-        directionalLight.shadow.camera.left = -150;
-        directionalLight.shadow.camera.right = 150;
-        directionalLight.shadow.camera.top = 150;
-        directionalLight.shadow.camera.bottom = -150;
-        
-        this.scene.add(directionalLight);
-        this.lights.push(directionalLight);
-        
-        // Add stadium lights
-        const stadiumLightPositions = [
-            { x: -50, y: 30, z: -80 },
-            { x: 50, y: 30, z: -80 },
-            { x: -50, y: 30, z: 80 },
-            { x: 50, y: 30, z: 80 }
-        ];
-        
-        stadiumLightPositions.forEach(pos => {
-            const spotLight = new THREE.SpotLight(0xffffff, 0.6);
-            spotLight.position.set(pos.x, pos.y, pos.z);
-            spotLight.target.position.set(0, 0, 0);
-            spotLight.angle = Math.PI / 6;
-            spotLight.penumbra = 0.3;
-            spotLight.decay = 1;
-            spotLight.distance = 300;
-            spotLight.castShadow = true;
-            
-            // Configure shadow properties
-            spotLight.shadow.mapSize.width = 1024;
-            spotLight.shadow.mapSize.height = 1024;
-            spotLight.shadow.camera.near = 10;
-            spotLight.shadow.camera.far = 300;
-            
-            this.scene.add(spotLight);
-            this.scene.add(spotLight.target);
-            this.lights.push(spotLight);
-        });
+        this.lights = addLighting(this.scene);
     }
     
     setupEventListeners() {
-        // Keyboard controls
+        // Keyboard and mouse controls
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
         document.addEventListener('keyup', this.handleKeyUp.bind(this));
+        const canvas = document.getElementById('game');
+        canvas.addEventListener('mousedown', event => this.handleInput(`Mouse${event.button}`, true));
+        window.addEventListener('mouseup', event => this.handleInput(`Mouse${event.button}`, false));
+        canvas.addEventListener('contextmenu', event => event.preventDefault()); // Right mouse is a control
+        
+        // Key releases are lost while the window is in the background
+        window.addEventListener('blur', () => this.inputs.forEach(input => input.releaseAll()));
+        
+        // Gamepads can be plugged in and out at any time
+        window.addEventListener('gamepadconnected', event => this.connectGamepad(event.gamepad.index));
+        window.addEventListener('gamepaddisconnected', event => this.disconnectGamepad(event.gamepad.index));
         
         // Window resize
         window.addEventListener('resize', this.handleResize.bind(this));
+        
+        // End-of-match and start screen buttons
+        this.addButtonListener('rematch-button', () => this.match.rematch());
+        this.addButtonListener('quit-button', () => this.match.quit());
+        this.addButtonListener('play-button', () => this.match.startMatch());
+        this.addButtonListener('controls-button', () => this.openBindingsMenu());
+        this.addButtonListener('skip-replay-button', () => this.match.skipReplay());
+        
+        // Replay files: save the match just played, or pick one to watch
+        this.addButtonListener('save-replay-button', () => this.saveReplay());
+        this.addButtonListener('save-last-replay-button', () => this.saveReplay());
+        const fileInput = document.getElementById('replay-file-input');
+        this.addButtonListener('load-replay-button', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.loadReplay(fileInput.files[0]);
+            }
+            fileInput.value = ''; // Picking the same file again still opens it
+        });
+    }
+    
+    addButtonListener(id, action) {
+        const button = document.getElementById(id);
+        button.addEventListener('click', () => {
+            // Don't leave focus on the button, or the jump key would press it again
+            button.blur();
+            action();
+        });
+    }
+    
+    setupMatchListeners() {
+        // Countdown beeps, and a different sound for "Go"
+        this.match.on('countdown', count => {
+            if (count === this.match.countdownLength) {
+                // Resume audio context (needed for browsers that require user interaction)
+                this.audio.resumeAudio();
+            }
+            
+            if (count > 0) {
+                this.audio.playCountdown();
+            } else {
+                this.audio.playCountdownGo();
+            }
+        });
+        
+        // Everything was teleported back to kickoff positions
+        this.match.on('reset', () => this.resetView());
+        
+        // Free play moved the ball on its own
+        this.match.on('ballReset', () => this.ballView.clearTrail());
+        
+        // Instant replays start a fresh trail and a fresh first shot
+        this.match.on('replay', () => {
+            this.ballView.clearTrail();
+            this.replayCamera.shot = null;
+        });
     }
     
     handleKeyDown(event) {
-        if (this.isPaused || this.isGameOver || this.isCountingDown) return;
+        // The controls screen and the replay viewer take every key while open
+        if (this.bindingsMenu.isOpen) {
+            this.bindingsMenu.handleKeyDown(event);
+            return;
+        }
+        if (this.replayViewer.isOpen) {
+            this.replayViewer.handleKeyDown(event);
+            return;
+        }
+        if (this.isTrainingMenuActive) {
+            this.trainingMenu.handleKeyDown(event);
+            return;
+        }
         
-        // Player car controls
-        switch (event.key.toLowerCase()) {
-            case 'w':
-                this.playerCar.setControls({ forward: true });
+        if (event.code === 'Escape') {
+            this.openBindingsMenu();
+            return;
+        }
+        
+        // Keep bound keys from scrolling the page or opening browser features
+        if (this.handleInput(event.code, true)) {
+            event.preventDefault();
+        }
+    }
+    
+    handleKeyUp(event) {
+        this.handleInput(event.code, false);
+    }
+    
+    // Pass a key or mouse button to every player using it, returns whether any did
+    handleInput(binding, isDown) {
+        let isBound = false;
+        this.inputs.forEach(input => {
+            if (input.handleInput(binding, isDown)) isBound = true;
+        });
+        return isBound;
+    }
+    
+    // Pressed-once actions of a player (car controls go straight to the car)
+    handleAction(action, player) {
+        switch (action) {
+            case 'pause':
+                this.togglePause();
                 break;
-            case 's':
-                this.playerCar.setControls({ backward: true });
+            case 'reset':
+                if (this.match.isTraining) {
+                    this.match.training.retry();
+                } else if (this.match.isFreePlay) {
+                    this.match.resetBall();
+                } else if (this.match.isPlaying) {
+                    this.match.resetRound();
+                }
                 break;
-            case 'a':
-                this.playerCar.setControls({ left: true });
+            case 'launchBall':
+                this.match.launchBall(this.match.playerCars[player]);
                 break;
-            case 'd':
-                this.playerCar.setControls({ right: true });
+            case 'infiniteBoost':
+                this.match.toggleInfiniteBoost();
                 break;
-            case ' ':
-                this.playerCar.setControls({ jump: true });
+            case 'ballPath':
+                if (this.match.isFreePlay) this.isShowingBallPath = !this.isShowingBallPath;
                 break;
-            case 'shift':
-                this.playerCar.setControls({ boost: true });
-                // Start boost sound
-                this.audio.startBoost();
+            case 'training':
+                this.openTrainingMenu();
                 break;
-            case 'control':
-                this.playerCar.setControls({ drift: true });
+            case 'nextShot':
+                if (this.match.isTraining) this.match.training.nextShot();
                 break;
-            
-            // Camera controls
-            case 'c':
-                this.cycleCameraMode();
+            case 'previousShot':
+                if (this.match.isTraining) this.match.training.previousShot();
                 break;
-            
-            // Game controls
-            case 'p':
-                this.togglePause();
+            case 'cameraMode':
+                this.cycleCameraMode();
                 break;
-            case 'r':
-                this.resetRound();
+            case 'ballCam':
+                this.playerViews[player].toggleBallCam();
                 break;
         }
     }
     
-    handleKeyUp(event) {
-        // Player car controls
-        switch (event.key.toLowerCase()) {
-            case 'w':
-                this.playerCar.setControls({ forward: false });
-                break;
-            case 's':
-                this.playerCar.setControls({ backward: false });
-                break;
-            case 'a':
-                this.playerCar.setControls({ left: false });
-                break;
-            case 'd':
-                this.playerCar.setControls({ right: false });
-                break;
-            case ' ':
-                this.playerCar.setControls({ jump: false });
-                break;
-            case 'shift':
-                this.playerCar.setControls({ boost: false });
-                // Stop boost sound
-                this.audio.stopBoost();
-                break;
-            case 'control':
-                this.playerCar.setControls({ drift: false });
-                break;
+    // Open the controls screen, pausing a running match until it is closed
+    openBindingsMenu() {
+        const match = this.match;
+        if (!match.isPaused && match.state.canTransition('paused')) {
+            match.togglePause();
+            this.isPausedForMenu = true;
+        }
+        
+        this.inputs.forEach(input => input.releaseAll());
+        this.bindingsMenu.open();
+    }
+    
+    // Training packs are a free play feature; opening the screen ends any training running
+    openTrainingMenu() {
+        const match = this.match;
+        if (!match.isFreePlay || match.isPaused) return;
+        
+        match.stopTraining();
+        this.inputs.forEach(input => input.releaseAll());
+        this.trainingMenu.open();
+    }
+    
+    // The training screen or shot editor has the keyboard
+    get isTrainingMenuActive() {
+        return this.trainingMenu.isOpen || this.trainingMenu.isEditing;
+    }
+    
+    handleMenuClosed() {
+        if (this.isPausedForMenu && this.match.isPaused) {
+            this.match.togglePause();
+        }
+        this.isPausedForMenu = false;
+    }
+    
+    // Download the recording of the current (or last) match as a replay file
+    async saveReplay() {
+        const recording = this.match.recorder.recording;
+        if (!recording || recording.tickCount === 0) return;
+        
+        const blob = await recording.toBlob();
+        const date = recording.header.recordedAt.slice(0, 19).replace(/[T:]/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `match-${date}.rlreplay`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    
+    // Open a replay file in the viewer, or say why it can't be
+    async loadReplay(file) {
+        try {
+            const recording = await MatchRecording.fromBlob(file);
+            this.openReplayViewer(recording);
+        } catch (error) {
+            console.warn('Could not open replay file:', error);
+            this.startStatusElement.textContent = `Could not open ${file.name}: ${error.message}`;
+            return;
         }
+        
+        this.startStatusElement.textContent = '';
+    }
+    
+    openReplayViewer(recording) {
+        this.replayViewer.open(recording);
+        this.inputs.forEach(input => input.releaseAll());
+        this.orbitControls.enabled = false; // The viewer has its own
+        this.startScreenElement.classList.remove('visible');
+    }
+    
+    handleViewerClosed() {
+        this.orbitControls.enabled = this.cameraMode === 'orbit';
+        this.inputs.forEach(input => input.releaseAll());
     }
     
     handleResize() {
         // Update camera aspect ratio
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
+        
+        this.playerViews.forEach(view => view.resize(window.innerWidth, window.innerHeight));
+        this.replayCamera.resize(window.innerWidth, window.innerHeight);
+        this.replayViewer.resize(window.innerWidth, window.innerHeight);
     }
     
     cycleCameraMode() {
@@ -307,7 +481,7 @@ export class Game {
         // Update camera based on current mode
         switch (this.cameraMode) {
             case 'follow':
-                this.updateFollowCamera(deltaTime);
+                this.playerViews.forEach(view => view.updateCamera());
                 break;
             case 'orbit':
                 this.orbitControls.update();
@@ -318,59 +492,6 @@ export class Game {
         }
     }
     
-    updateFollowCamera(deltaTime) {
-        // Follow player car with a completely decoupled camera system
-        const car = this.playerCar;
-        
-        // Create a stable camera reference frame that only considers Y-axis rotation (yaw)
-        // This ensures the camera follows the car's direction but doesn't flip or roll with it
-        
-        // Get car's current quaternion
-        const carQuaternion = car.mesh.quaternion.clone();
-        
-        // Extract just the Y-rotation component to create a stable camera reference
-        // Using 'YXZ' order ensures we extract yaw correctly regardless of car orientation
-        const carEuler = new THREE.Euler().setFromQuaternion(carQuaternion, 'YXZ');
-        
-        // Create a quaternion with only the Y-rotation (yaw)
-        // This completely ignores any roll or pitch of the car
-        const stableQuaternion = new THREE.Quaternion().setFromEuler(
-            new THREE.Euler(0, carEuler.y, 0)
-        );
-        
-        // Get stable forward direction using only the Y-rotation
-        const stableForward = new THREE.Vector3(0, 0, 1).applyQuaternion(stableQuaternion);
-        
-        // Calculate ideal camera position - position behind the car
-        // Apply the stable quaternion to ensure camera only follows car's heading, not its roll
-        const cameraOffset = new THREE.Vector3(0, 20, -40); // Height and distance for good view
-        cameraOffset.applyQuaternion(stableQuaternion);
-        
-        // Calculate target position
-        const idealPosition = car.position.clone().add(cameraOffset);
-        
-        // Ensure camera doesn't go below ground level
-        idealPosition.y = Math.max(idealPosition.y, 5);
-        
-        // Smoothly update camera target position with reduced smoothing for more responsive camera
-        this.cameraTargetPosition.lerp(idealPosition, this.cameraSmoothing);
-        
-        // Calculate look-at point - slightly ahead of the car
-        // Use the stable forward direction to ensure consistent look-at point
-        const lookAtOffset = stableForward.clone().multiplyScalar(30);
-        const idealLookAt = car.position.clone().add(lookAtOffset).add(new THREE.Vector3(0, 5, 0));
-        
-        // Smoothly update camera target look-at
-        this.cameraTargetLookAt.lerp(idealLookAt, this.cameraSmoothing);
-        
-        // Apply smoothed camera position and look-at
-        this.camera.position.copy(this.cameraTargetPosition);
-        this.camera.lookAt(this.cameraTargetLookAt);
-        
-        // Always keep camera upright regardless of car orientation
-        this.camera.up.set(0, 1, 0);
-    }
-    
     updateTopCamera() {
         // Top-down view of the field
         this.camera.position.set(0, 150, 0);
@@ -380,264 +501,242 @@ export class Game {
         this.camera.up.set(0, 0, -1);
     }
     
-    updateAI(deltaTime) {
-        // Simple AI for opponent car
-        const car = this.opponentCar;
-        const ball = this.ball;
-        
-        // Vector from car to ball
-        const carToBall = ball.position.clone().sub(car.position);
-        
-        // Distance to ball
-        const distanceToBall = carToBall.length();
-        
-        // Direction to ball
-        const directionToBall = carToBall.normalize();
-        
-        // Create a stable control reference frame for AI that only considers Y-axis rotation (yaw)
-        // This ensures consistent AI controls even when the car is flipping or barrel rolling
-        const carQuaternion = car.mesh.quaternion.clone();
-        const carEuler = new THREE.Euler().setFromQuaternion(carQuaternion, 'YXZ');
-        const stableQuaternion = new THREE.Quaternion().setFromEuler(
-            new THREE.Euler(0, carEuler.y, 0)
-        );
-        
-        // Get stable forward direction using only the Y-rotation
-        const stableForward = new THREE.Vector3(0, 0, 1).applyQuaternion(stableQuaternion);
-        
-        // Calculate dot product to determine if ball is in front of car using stable forward
-        const dotProduct = stableForward.dot(directionToBall);
-        
-        // Calculate angle between stable forward and direction to ball
-        const angle = Math.acos(clamp(dotProduct, -1, 1));
-        
-        // Determine if ball is to the left or right of car using stable reference frame
-        const cross = stableForward.clone().cross(directionToBall);
-        const isBallToLeft = cross.y > 0;
-        
-        // Reset controls
-        const controls = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            boost: false,
-            jump: false,
-            drift: false
-        };
-        
-        // Drive towards ball
-        if (dotProduct > 0.5) {
-            // Ball is roughly in front of car
-            controls.forward = true;
-            
-            // Use boost more aggressively since it's now unlimited
-            if (distanceToBall > 30) {
-                controls.boost = true;
-            }
-            
-            // Jump if close to ball
-            if (distanceToBall < 15 && ball.position.y > 5) {
-                controls.jump = true;
-            }
-        } else if (dotProduct < -0.5) {
-            // Ball is behind car
-            controls.backward = true;
-        }
-        
-        // Turn towards ball
-        if (angle > 0.2) {
-            if (isBallToLeft) {
-                controls.left = true;
-            } else {
-                controls.right = true;
-            }
-            
-            // Use drift for sharper turns
-            if (angle > 1.0) {
-                controls.drift = true;
-            }
-        }
+    // Play or stop the boost sound as the first car starts and the last car stops boosting
+    updateBoostSounds() {
+        const isBoosting = !this.isShowingReplay && this.match.cars.some(car => car.isBoosting);
         
-        // Play or stop boost sound for AI car based on boost state change
-        if (controls.boost && !this.aiWasBoosting) {
+        if (isBoosting && !this.wasBoosting) {
             this.audio.startBoost();
-        } else if (!controls.boost && this.aiWasBoosting) {
+        } else if (!isBoosting && this.wasBoosting) {
             this.audio.stopBoost();
         }
         
-        // Update AI boost state tracking
-        this.aiWasBoosting = controls.boost;
-        
-        // Apply controls to AI car
-        car.setControls(controls);
+        this.wasBoosting = isBoosting;
     }
     
-    startCountdown() {
-        this.isCountingDown = true;
-        this.countdownTime = 3;
-        
-        // Reset positions
-        this.resetPositions();
-        
-        // Update UI
-        this.updateUI();
-        
-        // Resume audio context (needed for browsers that require user interaction)
-        this.audio.resumeAudio();
-        
-        // Play initial countdown sound
-        this.audio.playCountdown();
-        
-        // Start countdown timer
-        const countdownInterval = setInterval(() => {
-            this.countdownTime--;
-            
-            // Update UI each time the countdown changes
-            this.updateUI();
-            
-            if (this.countdownTime > 0) {
-                // Play countdown sound for numbers
-                this.audio.playCountdown();
-            } else if (this.countdownTime === 0) {
-                // Play "Go" sound when countdown reaches 0
-                this.audio.playCountdownGo();
-            }
-            
-            if (this.countdownTime <= 0) {
-                clearInterval(countdownInterval);
-                this.isCountingDown = false;
-            }
-        }, 1000);
+    getCarView(car) {
+        return this.carViews.find(view => view.car === car);
     }
     
-    resetRound() {
-        // Reset ball and car positions
-        this.resetPositions();
+    // Snap the view to the match after a reset (kickoff positions)
+    resetView() {
+        // Clear the ball trail and boost sound state
+        this.ballView.clearTrail();
+        if (this.wasBoosting) {
+            this.audio.stopBoost();
+        }
+        this.wasBoosting = false;
         
-        // Start countdown
-        this.startCountdown();
+        // Reset camera targets to avoid jarring transitions
+        if (this.cameraMode === 'follow') {
+            this.playerViews.forEach(view => view.resetCamera());
+        }
     }
     
-    resetPositions() {
-        // Reset ball
-        this.ball.reset();
+    togglePause() {
+        this.match.togglePause();
+    }
+    
+    updateUI() {
+        const match = this.match;
         
-        // Reset cars
-        this.playerCar.reset();
-        this.opponentCar.reset();
+        // Update score
+        this.blueScoreElement.textContent = match.score.blue;
+        this.orangeScoreElement.textContent = match.score.orange;
         
-        // Reset AI boost state
-        this.aiWasBoosting = false;
+        // Update each player's boost and speed
+        this.playerViews.forEach(view => view.updateHUD());
         
-        // Reset camera targets to avoid jarring transitions
-        if (this.cameraMode === 'follow') {
-            const carPosition = this.playerCar.position.clone();
-            
-            // Create a stable quaternion for camera reset (only Y rotation)
-            const carQuaternion = this.playerCar.mesh.quaternion.clone();
-            const carEuler = new THREE.Euler().setFromQuaternion(carQuaternion, 'YXZ');
-            const stableQuaternion = new THREE.Quaternion().setFromEuler(
-                new THREE.Euler(0, carEuler.y, 0)
-            );
-            
-            // Apply stable quaternion to camera offset
-            const behindCar = new THREE.Vector3(0, 20, -40);
-            behindCar.applyQuaternion(stableQuaternion);
+        // Update timer
+        if (match.isCountingDown) {
+            this.timerElement.textContent = match.countdownTime;
             
-            // Set camera position behind car
-            this.cameraTargetPosition.copy(carPosition).add(behindCar);
+            // Update the large countdown display
+            this.countdownDisplay.textContent = match.countdownTime;
+            this.countdownDisplay.style.display = 'block';
+        } else if (match.isFreePlay) {
+            this.timerElement.textContent = 'Free play';
+            this.countdownDisplay.style.display = 'none';
+        } else if (match.isOvertime) {
+            // Overtime counts up
+            this.timerElement.textContent = '+' + formatTime(match.overtimeElapsed);
+            this.countdownDisplay.style.display = 'none';
+        } else {
+            this.timerElement.textContent = formatTime(match.timeRemaining);
+            this.countdownDisplay.style.display = 'none';
+        }
+        this.timerElement.classList.toggle('overtime', match.isOvertime);
+        
+        // Final result
+        this.matchEndElement.classList.toggle('visible', match.isGameOver);
+        if (match.isGameOver) {
+            const winner = match.winner;
+            this.matchResultElement.textContent = winner === 'blue' ? 'Blue Wins!' : 'Orange Wins!';
+            this.matchResultElement.className = winner;
+            this.matchFinalScoreElement.textContent = `${match.score.blue} - ${match.score.orange}`;
+        }
+        
+        // Start screen after quitting, with the abandoned match still to save
+        this.startScreenElement.classList.toggle('visible', match.isPreMatch);
+        const recording = match.recorder.recording;
+        this.saveLastReplayButton.classList.toggle('hidden', !recording || recording.tickCount === 0);
+        
+        this.replayBannerElement.classList.toggle('visible', this.isShowingReplay);
+        
+        // Free play hotkeys, as player 1 has them bound
+        this.freePlayHelpElement.classList.toggle('visible', match.isFreePlay && !match.isTraining);
+        if (match.isFreePlay) {
+            const key = action => {
+                const binding = this.bindings[0].bindings[action][0];
+                return binding ? getBindingLabel(binding) : 'unbound';
+            };
+            this.freePlayHelpElement.textContent = `Reset ball: ${key('reset')} · Launch ball: ${key('launchBall')} · ` +
+                `Infinite boost: ${key('infiniteBoost')} (${match.isInfiniteBoost ? 'on' : 'off'}) · ` +
+                `Ball path: ${key('ballPath')} (${this.isShowingBallPath ? 'on' : 'off'}) · ` +
+                `Training: ${key('training')}`;
             
-            // Set look-at point to car position
-            this.cameraTargetLookAt.copy(carPosition);
+            this.updateTrainingHUD(key);
         }
     }
     
-    togglePause() {
-        this.isPaused = !this.isPaused;
+    // Shot number, clock and result of a training pack being played
+    updateTrainingHUD(key) {
+        const match = this.match;
+        const training = match.training;
+        this.trainingHudElement.classList.toggle('visible', match.isTraining);
+        if (!match.isTraining) return;
+        
+        const shotNumber = `Shot ${training.shotIndex + 1}/${training.pack.shots.length}`;
+        const controls = `${key('reset')} retry · ${key('previousShot')}/${key('nextShot')} change shot · ` +
+            `${key('training')} menu`;
+        let text;
+        switch (training.phase) {
+            case 'waiting':
+                text = `${shotNumber} · Move to start`;
+                break;
+            case 'live':
+                text = `${shotNumber} · ${training.timeLeft.toFixed(1)} s`;
+                break;
+            case 'result':
+                text = `${shotNumber} · ${{ goal: 'Goal!', timeUp: "Time's up", ownGoal: 'Own goal' }[training.lastResult]}`;
+                break;
+            case 'complete':
+                text = `Pack complete: ${training.goalCount}/${training.pack.shots.length} shots scored`;
+                break;
+        }
+        this.trainingHudElement.textContent = `${text} — ${controls}`;
+    }
+    
+    // Arrow from the ball along its starting velocity while a shot is edited
+    updateShotArrow() {
+        const shot = this.match.state.is('trainingEdit') ? this.match.training.editingShot : null;
+        const velocity = shot ? new THREE.Vector3(...shot.ball.velocity) : null;
+        this.shotArrow.visible = Boolean(velocity && velocity.lengthSq() > 0);
+        if (!this.shotArrow.visible) return;
+        
+        // An arrow as long as the distance covered in one second
+        this.shotArrow.position.set(...shot.ball.position);
+        this.shotArrow.setDirection(velocity.clone().normalize());
+        this.shotArrow.setLength(velocity.length(), 6, 4);
     }
     
-    checkGoal() {
-        // Check if ball is in a goal
-        const scoringTeam = this.stadium.checkGoal(this.ball.position);
+    // Line along where the ball is going, while switched on in free play (and training)
+    updateBallPath() {
+        const line = this.ballPathLine;
+        line.visible = this.isShowingBallPath && this.match.isFreePlay && !this.isShowingReplay;
+        if (!line.visible) return;
+        
+        const path = this.match.ballPrediction.update().path;
+        const positions = line.geometry.attributes.position;
+        path.forEach((point, i) => positions.setXYZ(i, point.position.x, point.position.y, point.position.z));
+        positions.needsUpdate = true;
+        line.geometry.setDrawRange(0, path.length);
+    }
+    
+    // Advance the simulation by one fixed tick
+    step(deltaTime) {
+        // Nothing is simulated while watching a saved match
+        if (this.replayViewer.isOpen) return;
+        
+        // Read every player's input before each tick (menus have the keyboard while open)
+        if (!this.bindingsMenu.isOpen && !this.isTrainingMenuActive) {
+            this.inputs.forEach(input => input.update());
+        }
         
-        if (scoringTeam) {
-            // Increment score
-            this.score[scoringTeam]++;
-            
-            // Update UI
-            this.updateUI();
-            
-            // Reset round
-            this.resetRound();
-            
-            return true;
+        // Any player pressing jump skips a replay
+        const isJumpHeld = this.match.playerCars.some(car => car.controls.jump);
+        if (isJumpHeld && !this.wasJumpHeld) {
+            this.match.skipReplay();
         }
+        this.wasJumpHeld = isJumpHeld;
         
-        return false;
+        this.match.step(deltaTime);
+        if (this.botBridge) this.botBridge.update();
     }
     
-    updateTimer(deltaTime) {
-        if (this.isPaused || this.isGameOver || this.isCountingDown) return;
-        
-        // Update time remaining
-        this.timeRemaining -= deltaTime;
+    // Draw the scene between the last two simulation ticks (alpha 0-1)
+    render(alpha, deltaTime) {
+        if (this.replayViewer.isOpen) {
+            this.replayViewer.render(deltaTime);
+            return;
+        }
         
-        // Check if game is over
-        if (this.timeRemaining <= 0) {
-            this.timeRemaining = 0;
-            this.isGameOver = true;
+        this.stadiumView.update(deltaTime);
+        if (this.isShowingReplay) {
+            this.renderReplay(deltaTime);
+        } else {
+            this.ballView.update(alpha);
+            this.carViews.forEach(view => view.update(alpha, deltaTime));
         }
         
-        // Update UI
+        // Sounds and HUD follow the simulated state
+        this.updateBoostSounds();
         this.updateUI();
+        this.updateShotArrow();
+        this.updateBallPath();
+        this.bindingsMenu.update();
+        
+        // Always update camera
+        this.updateCamera(deltaTime);
     }
     
-    updateUI() {
-        // Update score
-        this.blueScoreElement.textContent = this.score.blue;
-        this.orangeScoreElement.textContent = this.score.orange;
+    // Replays keep showing while paused on top of them
+    get isShowingReplay() {
+        return this.match.state.isActive('replay');
+    }
+    
+    // Show the recorded match at the replay time, framed by the replay camera
+    renderReplay(deltaTime) {
+        const match = this.match;
+        const frame = match.getReplayFrame();
         
-        // Update timer
-        if (this.isCountingDown) {
-            this.timerElement.textContent = this.countdownTime;
-            
-            // Update the large countdown display
-            this.countdownDisplay.textContent = this.countdownTime;
-            this.countdownDisplay.style.display = 'block';
-        } else {
-            this.timerElement.textContent = formatTime(this.timeRemaining);
-            this.countdownDisplay.style.display = 'none';
-        }
+        this.ballView.showRecorded(frame.ball);
+        this.carViews.forEach((view, i) => view.showRecorded(frame.cars[i], deltaTime));
+        
+        const scorerIndex = match.cars.indexOf(match.replay.scorer);
+        this.replayCamera.update(match.replay, frame.ball, scorerIndex !== -1 ? frame.cars[scorerIndex] : null);
     }
     
-    update(deltaTime) {
-        // Skip updates if paused
-        if (this.isPaused) return;
+    // Draw each player's part of the screen, or one camera over all of it (replays and spectating)
+    draw(renderer) {
+        if (this.replayViewer.isOpen) {
+            this.replayViewer.draw(renderer);
+            return;
+        }
         
-        // Skip physics updates during countdown
-        if (!this.isCountingDown && !this.isGameOver) {
-            // Update game objects
-            this.ball.update();
-            this.playerCar.update(deltaTime);
-            this.opponentCar.update(deltaTime);
-            this.stadium.update();
-            
-            // Check for car-ball collisions
-            this.playerCar.handleBallCollision(this.ball);
-            this.opponentCar.handleBallCollision(this.ball);
-            
-            // Update AI
-            this.updateAI(deltaTime);
-            
-            // Check for goals
-            this.checkGoal();
-            
-            // Update timer
-            this.updateTimer(deltaTime);
+        const fullScreenCamera = this.isShowingReplay
+            ? this.replayCamera.camera
+            : (this.cameraMode !== 'follow' ? this.camera : null);
+        
+        if (fullScreenCamera) {
+            const size = renderer.getSize(new THREE.Vector2());
+            renderer.setViewport(0, 0, size.x, size.y);
+            renderer.render(this.scene, fullScreenCamera);
+            return;
         }
         
-        // Always update camera
-        this.updateCamera(deltaTime);
+        renderer.setScissorTest(true);
+        this.playerViews.forEach(view => view.render(renderer, this.scene));
+        renderer.setScissorTest(false);
     }
 }
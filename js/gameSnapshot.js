@@ -0,0 +1,100 @@
+/**
+ * Read-only snapshot of a match, as AI controllers see it (see AIController)
+ * Everything is frozen, so a controller can keep old snapshots (e.g. to react late)
+ * but can't move anything in the match itself
+ *
+ * {
+ *   time, state, mode, timeRemaining, isOvertime, score: { blue, orange },
+ *   arena: { width, height, length, goalWidth, goalHeight, goals: { blue, orange } (goal line centers) },
+ *   ball: { position, velocity, angularVelocity, radius },
+ *   ballPrediction: { path: [{ time, position, velocity }], goal: { team, time } or null }, see BallPrediction
+ *   cars: [{ index, team, isPlayer, position, velocity, quaternion, forward, up, boostAmount,
+ *            isOnGround, hasDoubleJump, isDemolished, isSupersonic,
+ *            handling: { maxSpeed, boostMaxSpeed, acceleration, boostForce, turnSpeed, jumpForce, gravity } }],
+ *   boostPads: [{ position, isLarge, isActive }]
+ * }
+ *
+ * Times are match seconds (like time). Cars are in Match.cars order. Blue defends the goal at -z and attacks +z, orange the other way.
+ * Vectors and quaternions are frozen THREE objects: clone them before changing them
+ */
+import * as THREE from 'three';
+
+// Frozen copy of a THREE or CANNON vector
+function freezeVector(vector) {
+    return Object.freeze(new THREE.Vector3(vector.x, vector.y, vector.z));
+}
+
+export function createGameSnapshot(match) {
+    const { stadium, ball } = match;
+    
+    const cars = match.cars.map((car, index) => Object.freeze({
+        index,
+        team: car.team,
+        isPlayer: car.isPlayer,
+        position: freezeVector(car.position),
+        velocity: freezeVector(car.velocity),
+        quaternion: Object.freeze(car.quaternion.clone()),
+        forward: freezeVector(car.getForwardDirection()),
+        up: freezeVector(car.getUpDirection()),
+        boostAmount: car.boostAmount,
+        isOnGround: car.isOnGround,
+        hasDoubleJump: car.hasDoubleJump,
+        isDemolished: car.isDemolished,
+        isSupersonic: car.isSupersonic,
+        handling: Object.freeze({
+            maxSpeed: car.maxSpeed,
+            boostMaxSpeed: car.maxSpeed * car.boostSpeedFactor,
+            acceleration: car.acceleration,
+            boostForce: car.boostForce,
+            turnSpeed: car.turnSpeed,
+            jumpForce: car.jumpForce,
+            gravity: car.gravity
+        })
+    }));
+    
+    // Where the ball is going, predicted once for every controller this tick
+    const prediction = match.ballPrediction.update();
+    const path = prediction.path.map(point => Object.freeze({
+        time: point.time,
+        position: freezeVector(point.position),
+        velocity: freezeVector(point.velocity)
+    }));
+    
+    const boostPads = stadium.boostPads.map(pad => Object.freeze({
+        position: freezeVector(pad.position),
+        isLarge: pad.isLarge,
+        isActive: pad.cooldown <= 0
+    }));
+    
+    return Object.freeze({
+        time: match.elapsedTime,
+        state: match.state.current,
+        mode: match.mode,
+        timeRemaining: match.timeRemaining,
+        isOvertime: match.isOvertime,
+        score: Object.freeze({ ...match.score }),
+        arena: Object.freeze({
+            width: stadium.dimensions.width,
+            height: stadium.dimensions.height,
+            length: stadium.dimensions.length,
+            goalWidth: stadium.goalDimensions.width,
+            goalHeight: stadium.goalDimensions.height,
+            goals: Object.freeze({
+                blue: freezeVector(stadium.goals.blue),
+                orange: freezeVector(stadium.goals.orange)
+            })
+        }),
+        ball: Object.freeze({
+            position: freezeVector(ball.position),
+            velocity: freezeVector(ball.body.velocity),
+            angularVelocity: freezeVector(ball.body.angularVelocity),
+            radius: ball.radius
+        }),
+        ballPrediction: Object.freeze({
+            path: Object.freeze(path),
+            goal: prediction.goal && Object.freeze({ ...prediction.goal })
+        }),
+        cars: Object.freeze(cars),
+        boostPads: Object.freeze(boostPads)
+    });
+}
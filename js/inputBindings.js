@@ -0,0 +1,257 @@
+/**
+ * Input bindings: which keys, mouse buttons and gamepad inputs trigger each action
+ * Bindings are saved per local player in localStorage
+ *
+ * A binding is a string naming one physical input:
+ *   KeyboardEvent.code    e.g. 'KeyW', 'Space', 'ShiftLeft'
+ *   'Mouse<button>'       e.g. 'Mouse0' (left), 'Mouse2' (right)
+ *   'Gamepad<button>'     e.g. 'Gamepad0' (A), standard mapping
+ *   'GamepadAxis<axis>±'  e.g. 'GamepadAxis0-' (left stick left)
+ */
+
+// Actions in menu order; car actions drive the car, the others are pressed once
+export const ACTIONS = [
+    { name: 'forward', label: 'Throttle', type: 'car' },
+    { name: 'backward', label: 'Reverse', type: 'car' },
+    { name: 'steerLeft', label: 'Steer left', type: 'car' },
+    { name: 'steerRight', label: 'Steer right', type: 'car' },
+    { name: 'pitchForward', label: 'Pitch forward (air)', type: 'car' },
+    { name: 'pitchBackward', label: 'Pitch back (air)', type: 'car' },
+    { name: 'jump', label: 'Jump', type: 'car' },
+    { name: 'boost', label: 'Boost', type: 'car' },
+    { name: 'powerslide', label: 'Powerslide / air roll', type: 'car' },
+    { name: 'airRollLeft', label: 'Air roll left', type: 'car' },
+    { name: 'airRollRight', label: 'Air roll right', type: 'car' },
+    { name: 'ballCam', label: 'Ball cam', type: 'game' },
+    { name: 'pause', label: 'Pause', type: 'game' },
+    { name: 'reset', label: 'Reset kickoff / ball', type: 'game' },
+    { name: 'cameraMode', label: 'Camera mode', type: 'game' },
+    { name: 'launchBall', label: 'Launch ball (free play)', type: 'game' },
+    { name: 'infiniteBoost', label: 'Infinite boost (free play)', type: 'game' },
+    { name: 'ballPath', label: 'Ball path (free play)', type: 'game' },
+    { name: 'training', label: 'Training packs (free play)', type: 'game' },
+    { name: 'nextShot', label: 'Next training shot', type: 'game' },
+    { name: 'previousShot', label: 'Previous training shot', type: 'game' }
+];
+
+// Keyboard and mouse defaults for up to four players sharing a keyboard
+const KEYBOARD_DEFAULTS = [
+    {
+        forward: ['KeyW'],
+        backward: ['KeyS'],
+        steerLeft: ['KeyA'],
+        steerRight: ['KeyD'],
+        jump: ['Space', 'Mouse2'],
+        boost: ['ShiftLeft', 'Mouse0'],
+        powerslide: ['KeyF'],
+        airRollLeft: ['KeyQ'],
+        airRollRight: ['KeyE'],
+        ballCam: ['KeyB'],
+        pause: ['KeyP'],
+        reset: ['KeyR'],
+        cameraMode: ['KeyC'],
+        launchBall: ['KeyT'],
+        infiniteBoost: ['KeyG'],
+        ballPath: ['KeyV'],
+        training: ['KeyX'],
+        nextShot: ['BracketRight'],
+        previousShot: ['BracketLeft']
+    },
+    {
+        forward: ['ArrowUp'],
+        backward: ['ArrowDown'],
+        steerLeft: ['ArrowLeft'],
+        steerRight: ['ArrowRight'],
+        jump: ['Period'],
+        boost: ['Slash'],
+        powerslide: ['Comma'],
+        airRollLeft: ['Semicolon'],
+        airRollRight: ['Quote'],
+        ballCam: ['Backslash']
+    },
+    {
+        forward: ['KeyI'],
+        backward: ['KeyK'],
+        steerLeft: ['KeyJ'],
+        steerRight: ['KeyL'],
+        jump: ['KeyN'],
+        boost: ['KeyM'],
+        powerslide: ['KeyH'],
+        airRollLeft: ['KeyU'],
+        airRollRight: ['KeyO'],
+        ballCam: ['KeyY']
+    },
+    {
+        forward: ['Numpad8'],
+        backward: ['Numpad5'],
+        steerLeft: ['Numpad4'],
+        steerRight: ['Numpad6'],
+        jump: ['Numpad0'],
+        boost: ['NumpadEnter'],
+        powerslide: ['NumpadDecimal'],
+        airRollLeft: ['Numpad7'],
+        airRollRight: ['Numpad9'],
+        ballCam: ['NumpadAdd']
+    }
+];
+
+// Every player's gamepad starts with the same layout (triggers to drive, like Rocket League)
+const GAMEPAD_DEFAULTS = {
+    forward: ['Gamepad7'],
+    backward: ['Gamepad6'],
+    steerLeft: ['GamepadAxis0-'],
+    steerRight: ['GamepadAxis0+'],
+    pitchForward: ['GamepadAxis1-'],
+    pitchBackward: ['GamepadAxis1+'],
+    jump: ['Gamepad0'],
+    boost: ['Gamepad1'],
+    powerslide: ['Gamepad2'],
+    airRollLeft: ['Gamepad4'],
+    airRollRight: ['Gamepad5'],
+    ballCam: ['Gamepad3'],
+    pause: ['Gamepad9'],
+    reset: ['Gamepad8'],
+    launchBall: ['Gamepad12'],
+    infiniteBoost: ['Gamepad13'],
+    nextShot: ['Gamepad15'],
+    previousShot: ['Gamepad14']
+};
+
+export const MAX_PLAYERS = KEYBOARD_DEFAULTS.length;
+
+const STORAGE_KEY = 'rocket-league-clone.bindings';
+
+export function getBindingDevice(binding) {
+    if (binding.startsWith('Mouse')) return 'mouse';
+    if (binding.startsWith('Gamepad')) return 'gamepad';
+    return 'keyboard';
+}
+
+// Names for menus
+const MOUSE_BUTTON_LABELS = ['Left mouse', 'Middle mouse', 'Right mouse'];
+const GAMEPAD_BUTTON_LABELS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+const GAMEPAD_AXIS_LABELS = [
+    { '-': 'Left stick left', '+': 'Left stick right' },
+    { '-': 'Left stick up', '+': 'Left stick down' },
+    { '-': 'Right stick left', '+': 'Right stick right' },
+    { '-': 'Right stick up', '+': 'Right stick down' }
+];
+
+// Short name for menus, e.g. 'W', 'Left mouse', 'Pad A', 'Left stick up'
+export function getBindingLabel(binding) {
+    switch (getBindingDevice(binding)) {
+        case 'mouse': {
+            const button = Number(binding.slice('Mouse'.length));
+            return MOUSE_BUTTON_LABELS[button] || `Mouse ${button}`;
+        }
+        case 'gamepad': {
+            if (binding.startsWith('GamepadAxis')) {
+                const axis = Number(binding.slice('GamepadAxis'.length, -1));
+                const direction = binding.slice(-1);
+                return GAMEPAD_AXIS_LABELS[axis]?.[direction] || `Axis ${axis}${direction}`;
+            }
+            const button = Number(binding.slice('Gamepad'.length));
+            return `Pad ${GAMEPAD_BUTTON_LABELS[button] || button}`;
+        }
+        default:
+            return binding.replace(/^Key|^Digit/, '');
+    }
+}
+
+export function getDefaultBindings(player) {
+    const bindings = {};
+    ACTIONS.forEach(({ name }) => {
+        bindings[name] = [
+            ...(KEYBOARD_DEFAULTS[player][name] || []),
+            ...(GAMEPAD_DEFAULTS[name] || [])
+        ];
+    });
+    return bindings;
+}
+
+export class InputBindings {
+    constructor(player) {
+        this.player = player; // Local player index
+        this.bindings = getDefaultBindings(player); // Action name -> bindings
+        
+        this.load();
+    }
+    
+    // Actions triggered by a physical input
+    getActions(binding) {
+        return ACTIONS
+            .map(action => action.name)
+            .filter(name => this.bindings[name].includes(binding));
+    }
+    
+    // Bind an input to an action, replacing the binding at index (or adding one)
+    bind(action, binding, index = this.bindings[action].length) {
+        const bindings = this.bindings[action];
+        
+        // An input is only listed once per action
+        const existing = bindings.indexOf(binding);
+        if (existing !== -1 && existing !== index) {
+            bindings.splice(existing, 1);
+            if (existing < index) index--;
+        }
+        
+        bindings[Math.min(index, bindings.length)] = binding;
+        this.save();
+    }
+    
+    unbind(action, index) {
+        this.bindings[action].splice(index, 1);
+        this.save();
+    }
+    
+    resetToDefaults() {
+        this.bindings = getDefaultBindings(this.player);
+        this.save();
+    }
+    
+    // Other actions using the same input, for this player and for the players sharing their
+    // keyboard and mouse (each player has their own gamepad), as [{ player, action }]
+    findConflicts(action, binding, allBindings = [this]) {
+        const isShared = getBindingDevice(binding) !== 'gamepad';
+        const conflicts = [];
+        
+        allBindings.forEach(other => {
+            if (other !== this && !isShared) return;
+            
+            other.getActions(binding).forEach(otherAction => {
+                if (other === this && otherAction === action) return;
+                conflicts.push({ player: other.player, action: otherAction });
+            });
+        });
+        
+        return conflicts;
+    }
+    
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(`${STORAGE_KEY}.${this.player}`));
+        } catch (e) {
+            console.warn('Could not load saved input bindings, using the defaults');
+        }
+        if (!saved) return;
+        
+        // Keep the defaults for actions the saved bindings don't know about
+        ACTIONS.forEach(({ name }) => {
+            if (Array.isArray(saved[name])) {
+                this.bindings[name] = saved[name].filter(binding => typeof binding === 'string');
+            }
+        });
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(`${STORAGE_KEY}.${this.player}`, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Could not save input bindings');
+        }
+    }
+}
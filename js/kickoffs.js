@@ -0,0 +1,71 @@
+/**
+ * Kickoff spawn positions
+ * Positions are for the blue half (negative z); orange spawns at the mirror image
+ * through the center spot, so both teams always get the same kickoff
+ */
+import * as THREE from 'three';
+
+// Spawn spots, scaled down from Rocket League's field
+export const KICKOFF_SPAWNS = [
+    { name: 'diagonalLeft', x: -90, z: -112 },
+    { name: 'diagonalRight', x: 90, z: -112 },
+    { name: 'offCenterLeft', x: -11, z: -169 },
+    { name: 'offCenterRight', x: 11, z: -169 },
+    { name: 'backCenter', x: 0, z: -202 }
+];
+
+// Spawns a team can kick off from, by team size (one entry per car)
+export const KICKOFF_SETS = {
+    1: [
+        ['diagonalLeft'],
+        ['diagonalRight'],
+        ['offCenterLeft'],
+        ['offCenterRight'],
+        ['backCenter']
+    ],
+    2: [
+        ['diagonalLeft', 'diagonalRight'],
+        ['offCenterLeft', 'offCenterRight'],
+        ['diagonalLeft', 'backCenter'],
+        ['diagonalRight', 'backCenter']
+    ],
+    3: [
+        ['diagonalLeft', 'diagonalRight', 'backCenter'],
+        ['diagonalLeft', 'diagonalRight', 'offCenterLeft'],
+        ['diagonalLeft', 'diagonalRight', 'offCenterRight'],
+        ['offCenterLeft', 'offCenterRight', 'backCenter']
+    ],
+    // Four-player co-op: every spot but one
+    4: [
+        ['diagonalLeft', 'diagonalRight', 'offCenterLeft', 'offCenterRight'],
+        ['diagonalLeft', 'diagonalRight', 'offCenterLeft', 'backCenter'],
+        ['diagonalLeft', 'diagonalRight', 'offCenterRight', 'backCenter']
+    ]
+};
+
+export function getKickoffSpawn(name) {
+    return KICKOFF_SPAWNS.find(spawn => spawn.name === name);
+}
+
+// Pick the spawns for one team (the other team mirrors them) with the given random function (0-1)
+export function chooseKickoffSpawns(random, teamSize) {
+    const sets = KICKOFF_SETS[teamSize];
+    if (!sets) {
+        throw new Error(`No kickoff spawns for a team of ${teamSize}`);
+    }
+    
+    const set = sets[Math.floor(random() * sets.length)];
+    return set.map(getKickoffSpawn);
+}
+
+// Position and heading (yaw, facing the ball) of a team at a spawn
+export function getKickoffTransform(spawn, team, height) {
+    // Orange gets the point mirror of blue's spawn
+    const sign = team === 'blue' ? 1 : -1;
+    const position = new THREE.Vector3(spawn.x * sign, height, spawn.z * sign);
+    
+    // Face the center spot
+    const yaw = Math.atan2(-position.x, -position.z);
+    
+    return { position, yaw };
+}
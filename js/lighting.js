@@ -0,0 +1,63 @@
+/**
+ * Lighting for the stadium: ambient light, a shadow-casting sun and four stadium spotlights
+ */
+import * as THREE from 'three';
+
+// Add the lights to a scene, returns them
+export function addLighting(scene) {
+    const lights = [];
+    
+    // Add ambient light
+    const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
+    scene.add(ambientLight);
+    lights.push(ambientLight);
+    
+    // Add directional light (sun)
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(100, 200, 50);
+    directionalLight.castShadow = true;
+    
+    // Configure shadow properties
+    directionalLight.shadow.mapSize.width = 2048;
+    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.camera.near = 0.5;
+    directionalLight.shadow.camera.far = 500;
+    directionalLight.shadow.camera.left = -150;
+    directionalLight.shadow.camera.right = 150;
+    directionalLight.shadow.camera.top = 150;
+    directionalLight.shadow.camera.bottom = -150;
+    
+    scene.add(directionalLight);
+    lights.push(directionalLight);
+    
+    // Add stadium lights
+    const stadiumLightPositions = [
+        { x: -50, y: 30, z: -80 },
+        { x: 50, y: 30, z: -80 },
+        { x: -50, y: 30, z: 80 },
+        { x: 50, y: 30, z: 80 }
+    ];
+    
+    stadiumLightPositions.forEach(pos => {
+        const spotLight = new THREE.SpotLight(0xffffff, 0.6);
+        spotLight.position.set(pos.x, pos.y, pos.z);
+        spotLight.target.position.set(0, 0, 0);
+        spotLight.angle = Math.PI / 6;
+        spotLight.penumbra = 0.3;
+        spotLight.decay = 1;
+        spotLight.distance = 300;
+        spotLight.castShadow = true;
+        
+        // Configure shadow properties
+        spotLight.shadow.mapSize.width = 1024;
+        spotLight.shadow.mapSize.height = 1024;
+        spotLight.shadow.camera.near = 10;
+        spotLight.shadow.camera.far = 300;
+        
+        scene.add(spotLight);
+        scene.add(spotLight.target);
+        lights.push(spotLight);
+    });
+    
+    return lights;
+}
@@ -2,18 +2,31 @@
  * Main entry point for the Rocket League clone
  */
 import * as THREE from 'three';
-import * as CANNON from 'cannon';
 // Import Stats as a default export
 const Stats = await import('./stats.min.js').then(module => module.default);
 import { Game } from './game.js';
 import { CSG } from './csg.js';
+import { KICKOFF_SETS } from './kickoffs.js';
+import { MAX_PLAYERS } from './inputBindings.js';
 
 // Global variables
 let scene, renderer, game;
-let world, timeStep = 1/60;
 let lastTime = 0;
 let stats;
 
+// Fixed simulation rate: physics and gameplay always advance in ticks of this size,
+// independent of the display's frame rate
+const SIMULATION_RATE = 120;
+const fixedTimeStep = 1 / SIMULATION_RATE;
+const maxFrameTime = 0.25; // Drop time after long stalls (e.g. a background tab)
+let accumulator = 0;
+
+// A whole number from the URL within min-max, undefined (the game's default) for anything else
+function getIntegerParam(params, name, min, max) {
+    const value = Number(params.get(name));
+    return params.has(name) && Number.isInteger(value) && value >= min && value <= max ? value : undefined;
+}
+
 // Initialize the game
 function init() {
     // Create Three.js scene
@@ -32,16 +45,24 @@ function init() {
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     
-    // Create physics world
-    world = new CANNON.World();
-    world.gravity.set(0, -15, 0); // Increased from -9.82 to make the ball fall faster
-    world.broadphase = new CANNON.SAPBroadphase(world);
-    world.solver.iterations = 10;
-    world.defaultContactMaterial.contactEquationStiffness = 1e6;
-    world.defaultContactMaterial.contactEquationRelaxation = 3;
-    
-    // Create game instance
-    game = new Game(scene, world);
+    // Create game instance (it creates the match and its physics world)
+    // The mode, ball profile, kickoff seed and local players can be picked from the URL,
+    // e.g. ?ball=beach&seed=42&players=2&difficulty=allStar or ?freePlay (?bots lets external bots drive the AI cars)
+    const params = new URLSearchParams(window.location.search);
+    game = new Game(scene, {
+        mode: params.has('freePlay') ? 'freePlay' : undefined,
+        ballProfile: params.get('ball'),
+        aiDifficulty: params.get('difficulty'),
+        teamSize: getIntegerParam(params, 'teamSize', 1, Math.max(...Object.keys(KICKOFF_SETS).map(Number))),
+        players: getIntegerParam(params, 'players', 1, MAX_PLAYERS),
+        coop: params.has('coop'),
+        gamepad: {
+            deadzone: params.has('deadzone') ? Number(params.get('deadzone')) : undefined,
+            sensitivity: params.has('sensitivity') ? Number(params.get('sensitivity')) : undefined
+        },
+        seed: params.has('seed') ? Number(params.get('seed')) : undefined,
+        botServer: params.has('bots') ? `ws://${window.location.host}/bots/game` : undefined
+    });
     
     // Add performance stats (if in development)
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
@@ -88,17 +109,21 @@ function animate(time = 0) {
     const deltaTime = (time - lastTime) / 1000;
     lastTime = time;
     
-    // Limit delta time to prevent large jumps
-    const limitedDelta = Math.min(deltaTime, 0.1);
+    // Limit delta time to prevent a spiral of catch-up ticks
+    const frameTime = Math.min(deltaTime, maxFrameTime);
+    accumulator += frameTime;
     
-    // Update physics world
-    world.step(timeStep, limitedDelta, 3);
+    // Run as many fixed simulation ticks as the elapsed time covers
+    while (accumulator >= fixedTimeStep) {
+        game.step(fixedTimeStep);
+        accumulator -= fixedTimeStep;
+    }
     
-    // Update game
-    game.update(limitedDelta);
+    // Interpolate between the last two ticks by the leftover time
+    game.render(accumulator / fixedTimeStep, frameTime);
     
-    // Render scene
-    renderer.render(scene, game.camera);
+    // Render scene (one viewport per local player)
+    game.draw(renderer);
     
     // Update stats
     if (stats) stats.update();
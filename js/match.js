@@ -0,0 +1,712 @@
+/**
+ * Match class for simulating a game: physics world, stadium, ball, cars, rules and AI
+ * Has no DOM, audio or WebGL dependencies so it can be stepped headless (e.g. under Bun)
+ */
+import * as CANNON from 'cannon';
+import { Stadium } from './stadium.js';
+import { Ball } from './ball.js';
+import { Car, createControls } from './car.js';
+import { getBallProfile } from './ballProfiles.js';
+import { StateMachine } from './stateMachine.js';
+import { ReplayBuffer } from './replayBuffer.js';
+import { MatchRecorder } from './matchRecorder.js';
+import { TrainingRunner } from './trainingRunner.js';
+import { BallPrediction } from './ballPrediction.js';
+import { BotController } from './botController.js';
+import { getBotDifficulty, DEFAULT_BOT_DIFFICULTY } from './botDifficulties.js';
+import { createGameSnapshot } from './gameSnapshot.js';
+import { chooseKickoffSpawns, getKickoffTransform, KICKOFF_SETS, KICKOFF_SPAWNS } from './kickoffs.js';
+import { clamp, createRandom } from './utils.js';
+
+// Car tuning for every car: the AI drives the same car, its difficulty comes from its controller
+export const CAR_TUNING = {
+    maxSpeed: 100, // Increased from 80
+    acceleration: 150, // Increased from 120
+    boostForce: 250 // Increased from 200
+};
+
+// Roster for teams of teamSize cars: one human car for each local player, on the team listed
+// for them in humanTeams, and AI of the given difficulty in the other seats
+// (both teams grow to fit the bigger group of players)
+// Each entry is { team: 'blue' | 'orange', controller: 'human' | 'ai', player (humans), difficulty (AI) }
+export function createRoster(teamSize = 1, humanTeams = ['blue'], difficulty = DEFAULT_BOT_DIFFICULTY) {
+    const roster = [];
+    const teams = ['blue', 'orange'];
+    const size = Math.max(teamSize, ...teams.map(team =>
+        humanTeams.filter(humanTeam => humanTeam === team).length
+    ));
+    
+    teams.forEach(team => {
+        const players = [];
+        humanTeams.forEach((humanTeam, player) => {
+            if (humanTeam === team) players.push(player);
+        });
+        
+        for (let i = 0; i < size; i++) {
+            if (i < players.length) {
+                roster.push({ team, controller: 'human', player: players[i] });
+            } else {
+                roster.push({ team, controller: 'ai', difficulty });
+            }
+        }
+    });
+    
+    return roster;
+}
+
+// Free play roster: just the local players' cars, no AI
+export function createFreePlayRoster(humanTeams = ['blue']) {
+    return humanTeams.map((team, player) => ({ team, controller: 'human', player }));
+}
+
+// 'match' is a timed game against the AI, 'freePlay' is practice with no clock, countdown or opponents
+export const MATCH_MODES = ['match', 'freePlay'];
+
+export class Match {
+    constructor(options = {}) {
+        // Game objects
+        this.world = null;
+        this.stadium = null;
+        this.ball = null;
+        this.cars = []; // Every car in the match, see createRoster
+        this.playerCars = []; // Human cars by local player index
+        this.controllers = []; // AI driving each car (null for none), in cars order, see AIController
+        this.mode = options.mode ?? 'match'; // See MATCH_MODES
+        if (!MATCH_MODES.includes(this.mode)) {
+            throw new Error(`Unknown match mode ${this.mode}`);
+        }
+        this.roster = options.roster ?? (this.isFreePlay
+            ? createFreePlayRoster(options.humanTeams ?? ['blue'])
+            : createRoster(options.teamSize ?? 1, options.humanTeams ?? ['blue'], getBotDifficulty(options.aiDifficulty).name));
+        this.teamSize = Math.max(...['blue', 'orange'].map(team => this.getRosterSize(team)));
+        this.lastTouch = null; // Car that last hit the ball
+        this.ballPrediction = new BallPrediction(this); // Where the ball is going (AI, debug path)
+        this.ballProfile = getBallProfile(options.ballProfile); // See ballProfiles.js
+        
+        // Game state
+        this.score = {
+            blue: 0,
+            orange: 0
+        };
+        this.gameTime = options.gameTime ?? 5 * 60; // 5 minutes in seconds
+        this.timeRemaining = this.gameTime;
+        this.isOvertime = false; // Sudden death after a tied match
+        this.overtimeElapsed = 0; // Counts up during overtime
+        this.isInfiniteBoost = false; // Free play: tanks never empty
+        this.launchDistance = 70; // Free play: how far in front of a car a launched ball starts
+        this.launchHeight = 25;
+        this.launchFlightTime = 1.5; // Seconds until a launched ball comes down in front of the car
+        this.training = new TrainingRunner(this); // Free play: custom training packs
+        this.countdownLength = options.countdownLength ?? 3; // Countdown time in seconds
+        this.countdownTime = this.countdownLength; // Whole seconds left, as displayed
+        this.goalCelebrationTime = options.goalCelebrationTime ?? 3; // Seconds between a goal and the replay/kickoff
+        
+        // Instant replays: the last seconds before each goal, played back in slow motion
+        this.replayLength = options.replayLength ?? 5; // Seconds of play shown (0 skips the replay)
+        this.replayFollowThrough = 1; // Seconds of that after the goal itself
+        this.replaySpeed = options.replaySpeed ?? 0.5; // Playback speed (0.5 = half speed)
+        this.replayBuffer = new ReplayBuffer(8);
+        this.replay = null; // Replay being played: { startTime, endTime, time, team, scorer }
+        this.lastGoal = null; // { team, scorer, time } of the latest goal
+        this.elapsedTime = 0; // Simulated seconds since the match was created
+        
+        // Seeded randomness (kickoff spawns), so a match can be played again exactly
+        this.seed = options.seed ?? Math.floor(Math.random() * 2 ** 32);
+        this.random = createRandom(this.seed);
+        this.kickoffSpawns = []; // Spawns used at the last kickoff (orange gets their mirror)
+        
+        // Event listeners (name -> callbacks), used by the presentation layer
+        this.listeners = {};
+        
+        // The whole match, for replay files ({ record: false } skips it)
+        this.recorder = new MatchRecorder(this, options.record ?? true);
+        
+        this.init();
+        
+        // Match flow, driven by the simulation clock
+        this.state = new StateMachine(this.createStates(), 'preMatch', (from, to) => {
+            this.emit('state', { from, to });
+        });
+    }
+    
+    // States of a match and the transitions between them
+    createStates() {
+        return {
+            // Waiting on the start screen, nothing moves
+            preMatch: {
+                to: ['countdown', 'freePlay']
+            },
+            
+            // Kickoff countdown: cars wait at their spawns
+            countdown: {
+                to: ['playing', 'overtime', 'paused', 'countdown', 'preMatch'],
+                enter: () => this.enterCountdown(),
+                update: deltaTime => this.stepPhysics(deltaTime)
+            },
+            
+            playing: {
+                to: ['goalScored', 'countdown', 'ended', 'paused', 'preMatch'],
+                update: deltaTime => this.stepGameplay(deltaTime, true)
+            },
+            
+            // Sudden death: the next goal wins
+            overtime: {
+                to: ['goalScored', 'countdown', 'paused', 'preMatch'],
+                update: deltaTime => this.stepGameplay(deltaTime, true)
+            },
+            
+            // Play carries on without rules while the goal is celebrated
+            goalScored: {
+                to: ['replay', 'countdown', 'ended', 'paused', 'preMatch'],
+                enter: () => this.state.after(this.goalCelebrationTime, () => this.afterGoal()),
+                update: deltaTime => this.stepGameplay(deltaTime, false)
+            },
+            
+            // The simulation holds still while the presentation plays the replay back
+            replay: {
+                to: ['countdown', 'paused', 'preMatch'],
+                enter: () => this.startReplay(),
+                update: deltaTime => {
+                    this.replay.time = Math.min(this.replay.time + deltaTime * this.replaySpeed, this.replay.endTime);
+                },
+                exit: () => {
+                    this.replay = null;
+                }
+            },
+            
+            // Practice: no clock and no countdown, goals only add to the score
+            freePlay: {
+                to: ['training', 'trainingEdit', 'paused', 'preMatch'],
+                update: deltaTime => this.stepGameplay(deltaTime, true)
+            },
+            
+            // A training pack: the runner sets up shots and judges them instead of the usual rules
+            training: {
+                to: ['freePlay', 'training', 'trainingEdit', 'paused', 'preMatch'],
+                update: deltaTime => {
+                    this.stepGameplay(deltaTime, false);
+                    this.training.update(deltaTime);
+                },
+                exit: () => this.training.stop()
+            },
+            
+            // Everything holds still while a training shot is edited
+            trainingEdit: {
+                to: ['freePlay', 'training', 'trainingEdit', 'paused', 'preMatch'],
+                exit: () => this.training.stop()
+            },
+            
+            // Pushed on top of another state, which resumes where it was
+            paused: {
+                to: ['countdown', 'preMatch']
+            },
+            
+            // Result is final; cars and ball keep moving behind the end-of-match screen
+            ended: {
+                to: ['countdown', 'preMatch'],
+                update: deltaTime => this.stepGameplay(deltaTime, false)
+            }
+        };
+    }
+    
+    get isPreMatch() {
+        return this.state.is('preMatch');
+    }
+    
+    get isCountingDown() {
+        return this.state.isActive('countdown');
+    }
+    
+    // Live play, in regulation, overtime or free play
+    get isPlaying() {
+        return this.state.is('playing') || this.state.is('overtime') || this.state.is('freePlay');
+    }
+    
+    get isFreePlay() {
+        return this.mode === 'freePlay';
+    }
+    
+    get isPaused() {
+        return this.state.is('paused');
+    }
+    
+    get isGameOver() {
+        return this.state.isActive('ended');
+    }
+    
+    init() {
+        // Create physics world
+        this.world = new CANNON.World();
+        this.world.gravity.set(0, -15, 0); // Increased from -9.82 to make the ball fall faster
+        this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+        this.world.solver.iterations = 10;
+        this.world.defaultContactMaterial.contactEquationStiffness = 1e6;
+        this.world.defaultContactMaterial.contactEquationRelaxation = 3;
+        
+        // Create stadium
+        this.stadium = new Stadium(this.world);
+        
+        // Create ball, bouncing off the stadium as its profile says
+        this.ball = new Ball(this.world, this.ballProfile);
+        this.ball.createContactMaterials(this.stadium);
+        
+        // Create the cars on the roster, tuned for whoever drives them
+        if (!KICKOFF_SETS[this.teamSize]) {
+            throw new Error(`Unsupported team size ${this.teamSize}`);
+        }
+        
+        this.cars = this.roster.map(entry => {
+            const car = new Car(entry.team, entry.controller === 'human');
+            Object.assign(car, CAR_TUNING);
+            if (entry.controller === 'human') {
+                this.playerCars[entry.player] = car;
+            }
+            return car;
+        });
+        
+        // The built-in bot in the AI seats, seeded from the match so replays drive the same way
+        this.controllers = this.roster.map((entry, i) => entry.controller === 'ai'
+            ? new BotController(getBotDifficulty(entry.difficulty), this.seed + i)
+            : null);
+    }
+    
+    // Hand a car to an AI controller (null gives it back to its player's inputs)
+    setController(car, controller) {
+        const index = this.cars.indexOf(car);
+        if (index === -1) {
+            throw new Error('Car is not in this match');
+        }
+        
+        this.controllers[index] = controller;
+        if (controller) controller.reset();
+    }
+    
+    getController(car) {
+        return this.controllers[this.cars.indexOf(car)] ?? null;
+    }
+    
+    getRosterSize(team) {
+        return this.roster.filter(entry => entry.team === team).length;
+    }
+    
+    // Subscribe to a match event
+    // ('countdown', 'kickoff', 'reset', 'ballReset', 'goal', 'replay', 'touch', 'boostPickup', 'demolition',
+    // 'overtime', 'gameOver', 'newMatch', 'shotStart', 'shotResult', 'trainingComplete')
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+    
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(callback => callback(data));
+    }
+    
+    getTeam(team) {
+        return this.cars.filter(car => car.team === team);
+    }
+    
+    // The first local player's car (any car when only the AI plays)
+    get playerCar() {
+        return this.playerCars[0] || this.cars[0];
+    }
+    
+    // Cars driven by an AI controller
+    get aiCars() {
+        return this.cars.filter((car, i) => this.controllers[i]);
+    }
+    
+    startCountdown() {
+        this.state.transition('countdown');
+    }
+    
+    enterCountdown() {
+        this.countdownTime = this.countdownLength;
+        
+        // Reset positions
+        this.resetPositions();
+        
+        this.emit('countdown', this.countdownTime);
+        
+        // One tick of the count per second, then kick off
+        for (let second = 1; second <= this.countdownLength; second++) {
+            this.state.after(second, () => {
+                this.countdownTime--;
+                this.emit('countdown', this.countdownTime);
+                
+                if (this.countdownTime <= 0) {
+                    this.state.transition(this.isOvertime ? 'overtime' : 'playing');
+                    this.emit('kickoff');
+                }
+            });
+        }
+    }
+    
+    resetRound() {
+        // Reset ball and car positions, then count down to kickoff
+        this.startCountdown();
+    }
+    
+    // After the goal celebration: replay, next kickoff, or the end of an overtime match
+    afterGoal() {
+        if (this.isOvertime) {
+            this.endMatch();
+        } else if (this.replayLength > 0 && this.replayBuffer.frames.length > 0) {
+            this.state.transition('replay');
+        } else {
+            this.startCountdown();
+        }
+    }
+    
+    // Play back the end of the replay buffer around the last goal
+    startReplay() {
+        const endTime = Math.min(this.lastGoal.time + this.replayFollowThrough, this.replayBuffer.endTime);
+        const startTime = Math.max(endTime - this.replayLength, this.replayBuffer.startTime);
+        
+        this.replay = { startTime, endTime, time: startTime, team: this.lastGoal.team, scorer: this.lastGoal.scorer };
+        this.state.after((endTime - startTime) / this.replaySpeed, () => this.state.transition('countdown'));
+        this.emit('replay', this.replay);
+    }
+    
+    // Cut a replay short and go straight to the kickoff
+    skipReplay() {
+        if (this.state.is('replay')) {
+            this.startCountdown();
+        }
+    }
+    
+    // Recorded ball and car transforms at the current replay time (cars in this.cars order)
+    getReplayFrame() {
+        return this.replay ? this.replayBuffer.getFrameAt(this.replay.time) : null;
+    }
+    
+    resetPositions() {
+        // Reset ball, held still on the center spot until touched
+        this.ball.reset();
+        
+        // Both teams get the same, mirrored kickoff spawns
+        this.kickoffSpawns = chooseKickoffSpawns(this.random, this.teamSize);
+        ['blue', 'orange'].forEach(team => {
+            this.getTeam(team).forEach((car, index) => {
+                const spawn = this.kickoffSpawns[index];
+                const { position, yaw } = getKickoffTransform(spawn, team, car.groundLevel);
+                car.reset(position, yaw);
+            });
+        });
+        this.lastTouch = null;
+        this.controllers.forEach(controller => controller && controller.reset());
+        
+        // Replays never reach back past a kickoff
+        this.replayBuffer.clear();
+        
+        // Reset boost pads
+        this.stadium.resetBoostPads();
+        
+        this.emit('reset');
+    }
+    
+    // Swap the ball's physics profile by name (e.g. 'beach')
+    setBallProfile(name) {
+        this.ballProfile = getBallProfile(name);
+        this.ball.setProfile(this.ballProfile);
+    }
+    
+    // Put scores, clock and positions back to the start of a match
+    resetMatch() {
+        this.score.blue = 0;
+        this.score.orange = 0;
+        this.timeRemaining = this.gameTime;
+        this.isOvertime = false;
+        this.overtimeElapsed = 0;
+        
+        this.resetPositions();
+        this.emit('newMatch');
+    }
+    
+    // Start a fresh match from the kickoff countdown (free play starts straight away)
+    startMatch() {
+        this.resetMatch();
+        this.recorder.start();
+        if (this.isFreePlay) {
+            this.state.transition('freePlay');
+        } else {
+            this.startCountdown();
+        }
+    }
+    
+    // Free play: put the ball back on the center spot without a countdown
+    resetBall() {
+        if (!this.isFreePlay) return;
+        
+        this.ball.reset();
+        this.lastTouch = null;
+        this.emit('ballReset');
+    }
+    
+    // Free play: lob the ball at a car from in front of it, to practise first touches and aerials
+    launchBall(car) {
+        // Not during training, where the shot sets the ball
+        if (!this.state.isActive('freePlay')) return;
+        
+        const forward = car.getForwardDirection().setY(0);
+        if (forward.lengthSq() < 1e-4) forward.set(0, 0, 1);
+        forward.normalize();
+        
+        // Start inside the walls, even when the car faces one
+        const { width, length } = this.stadium.dimensions;
+        const margin = this.ball.radius * 2;
+        const start = car.position.clone().addScaledVector(forward, this.launchDistance);
+        start.x = clamp(start.x, -width / 2 + margin, width / 2 - margin);
+        start.z = clamp(start.z, -length / 2 + margin, length / 2 - margin);
+        start.y = this.launchHeight;
+        
+        // Land a little in front of the car after the flight time
+        const time = this.launchFlightTime;
+        const gravity = -this.world.gravity.y;
+        const landing = car.position.clone().addScaledVector(forward, this.ball.radius * 2);
+        const velocity = landing.sub(start).setY(0).divideScalar(time);
+        velocity.y = (this.ball.radius - start.y + 0.5 * gravity * time * time) / time;
+        
+        this.ball.reset(new CANNON.Vec3(start.x, start.y, start.z), new CANNON.Vec3(velocity.x, velocity.y, velocity.z));
+        this.lastTouch = null;
+        this.emit('ballReset');
+    }
+    
+    // Free play: play a training pack from a shot (see trainingPack.js)
+    startTraining(pack, shotIndex = 0) {
+        if (!this.isFreePlay || pack.shots.length === 0) return;
+        
+        this.state.transition('training');
+        this.training.start(pack, shotIndex);
+    }
+    
+    // Free play: hold still on a shot while it is edited (call again after each change)
+    editShot(shot) {
+        if (!this.isFreePlay) return;
+        
+        if (!this.state.is('trainingEdit')) {
+            this.state.transition('trainingEdit');
+        }
+        this.training.previewShot(shot);
+    }
+    
+    // Back to free play from training or the editor, with the ball on the center spot
+    stopTraining() {
+        if (!this.state.is('training') && !this.state.is('trainingEdit')) return;
+        
+        this.state.transition('freePlay');
+        this.resetBall();
+    }
+    
+    get isTraining() {
+        return this.state.isActive('training');
+    }
+    
+    toggleInfiniteBoost() {
+        if (!this.isFreePlay) return;
+        this.isInfiniteBoost = !this.isInfiniteBoost;
+    }
+    
+    // Play the same match again
+    rematch() {
+        this.startMatch();
+    }
+    
+    // Abandon the match and wait for the next one to be started
+    quit() {
+        if (this.isPreMatch) return;
+        
+        this.recorder.stop();
+        this.resetMatch();
+        this.state.transition('preMatch');
+    }
+    
+    // Team ahead on goals, null when level
+    get winner() {
+        if (this.score.blue === this.score.orange) return null;
+        return this.score.blue > this.score.orange ? 'blue' : 'orange';
+    }
+    
+    togglePause() {
+        if (this.isPaused) {
+            this.state.pop();
+        } else if (this.state.canTransition('paused')) {
+            this.state.push('paused');
+        }
+    }
+    
+    // Let every AI controller set its car's controls from one snapshot of the match
+    updateControllers(deltaTime) {
+        if (!this.controllers.some(controller => controller)) return;
+        
+        const snapshot = createGameSnapshot(this);
+        this.controllers.forEach((controller, i) => {
+            if (!controller) return;
+            this.cars[i].setControls({ ...createControls(), ...controller.getControls(snapshot, i, deltaTime) });
+        });
+    }
+    
+    checkGoal() {
+        // Check if ball is in a goal
+        const scoringTeam = this.stadium.checkGoal(this.ball.position);
+        
+        if (scoringTeam) {
+            // Increment score (the scorer is the last car to touch the ball, if it was on that team)
+            this.score[scoringTeam]++;
+            const scorer = this.lastTouch && this.lastTouch.team === scoringTeam ? this.lastTouch : null;
+            this.lastGoal = { team: scoringTeam, scorer, time: this.elapsedTime };
+            this.emit('goal', { team: scoringTeam, scorer });
+            
+            // Goals in free play don't stop anything, the ball just goes back to the center
+            if (this.isFreePlay) {
+                this.resetBall();
+                return true;
+            }
+            
+            // Celebrate, then replay and kick off again (or end the match in overtime)
+            this.state.transition('goalScored', { team: scoringTeam });
+            
+            return true;
+        }
+        
+        return false;
+    }
+    
+    updateTimer(deltaTime) {
+        // Free play has no clock
+        if (this.isFreePlay) return;
+        
+        // Overtime has no limit, the clock counts up until the next goal
+        if (this.isOvertime) {
+            this.overtimeElapsed += deltaTime;
+            return;
+        }
+        
+        // Update time remaining
+        this.timeRemaining -= deltaTime;
+        
+        // Check if regulation time is up
+        if (this.timeRemaining <= 0) {
+            this.timeRemaining = 0;
+            
+            if (this.winner) {
+                this.endMatch();
+            } else {
+                this.startOvertime();
+            }
+        }
+    }
+    
+    // Level scores at full time: next goal wins, from a fresh kickoff
+    startOvertime() {
+        this.isOvertime = true;
+        this.overtimeElapsed = 0;
+        this.emit('overtime');
+        this.startCountdown();
+    }
+    
+    endMatch() {
+        this.state.transition('ended');
+        this.emit('gameOver', { winner: this.winner, score: { ...this.score } });
+        this.recorder.stop();
+    }
+    
+    // Advance the simulation by one fixed tick (what moves depends on the match state)
+    step(deltaTime) {
+        const isRecording = this.recorder.isRecording;
+        const time = this.elapsedTime;
+        
+        this.state.update(deltaTime);
+        
+        // Record every tick the simulation moved on (including the one that ended the match)
+        if (isRecording && this.elapsedTime !== time) {
+            this.recorder.recordTick(deltaTime);
+        }
+    }
+    
+    // Move the physics world on its own (cars hold still)
+    stepPhysics(deltaTime) {
+        this.elapsedTime += deltaTime;
+        
+        // Remember where everything was so rendering can interpolate into this tick
+        this.ball.savePreviousTransform();
+        this.cars.forEach(car => car.savePreviousTransform());
+        
+        // Step the physics world on the same clock as the cars
+        this.ball.applySpinForce();
+        this.world.step(deltaTime);
+    }
+    
+    // Bring back demolished cars whose timer ran out, each at a kickoff spot on its own side that no
+    // other car is on (back spots first), or else the one furthest from every car
+    respawnCars() {
+        this.cars.filter(car => car.isRespawnDue).forEach(car => {
+            const others = this.cars.filter(other => other !== car && !other.isDemolished);
+            const spots = [...KICKOFF_SPAWNS].reverse().map(spawn => {
+                const transform = getKickoffTransform(spawn, car.team, car.groundLevel);
+                const clearance = Math.min(...others.map(other => other.position.distanceTo(transform.position)));
+                return { ...transform, clearance };
+            });
+            
+            const isFree = spot => spot.clearance > car.dimensions.length * 2;
+            const spot = spots.find(isFree) ?? spots.reduce((best, other) => other.clearance > best.clearance ? other : best);
+            car.respawn(spot.position, spot.yaw);
+        });
+    }
+    
+    // Move everything, and apply goals and the clock if the rules are live
+    stepGameplay(deltaTime, applyRules) {
+        this.stepPhysics(deltaTime);
+        
+        // AI picks its controls before the cars move (players' inputs are already set)
+        this.updateControllers(deltaTime);
+        
+        // Update game objects
+        this.ball.update();
+        this.cars.forEach(car => car.update(deltaTime, this.stadium));
+        this.respawnCars();
+        this.stadium.update(deltaTime);
+        if (this.isInfiniteBoost) {
+            this.cars.forEach(car => {
+                car.boostAmount = 100;
+            });
+        }
+        
+        // Collect boost pads
+        this.cars.forEach(car => {
+            if (this.stadium.checkBoostPickup(car)) {
+                this.emit('boostPickup', { car });
+            }
+        });
+        
+        // Resolve car-to-car contact (bumps and demolitions) between every pair
+        for (let i = 0; i < this.cars.length; i++) {
+            for (let j = i + 1; j < this.cars.length; j++) {
+                const contact = this.cars[i].handleCarCollision(this.cars[j]);
+                if (contact && contact.type === 'demolition') {
+                    this.emit('demolition', contact);
+                }
+            }
+        }
+        
+        // Check for car-ball collisions
+        this.cars.forEach(car => {
+            if (car.handleBallCollision(this.ball)) {
+                this.lastTouch = car;
+                this.emit('touch', { car });
+            }
+        });
+        
+        // Keep the last seconds for instant replays
+        this.replayBuffer.record(this.elapsedTime, this.ball, this.cars);
+        
+        if (!applyRules) return;
+        
+        // Check for goals
+        if (this.checkGoal()) return;
+        
+        // Update timer
+        this.updateTimer(deltaTime);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * MatchRecorder class for recording a whole match into a MatchRecording
+ * Recording starts with each match and stops when it ends or is abandoned; the last
+ * recording stays available (e.g. to save from the end-of-match screen) until the next match starts.
+ * Free play is never recorded, since it never ends
+ */
+import { MatchRecording } from './matchRecording.js';
+
+export class MatchRecorder {
+    constructor(match, isEnabled = true) {
+        this.match = match;
+        this.isEnabled = isEnabled; // Headless runs can skip recording
+        this.recording = null;
+        this.isRecording = false;
+        this.wasBoosting = []; // Per car, to record boosts starting and stopping
+        this.lastTouchTicks = []; // Per car, so a ball resting on a car is one touch, not one a tick
+        
+        this.setupMatchListeners();
+    }
+    
+    // Match events worth keeping, with cars stored by their index in match.cars
+    setupMatchListeners() {
+        const match = this.match;
+        const carIndex = car => match.cars.indexOf(car);
+        
+        match.on('kickoff', () => this.addEvent('kickoff', { spawns: match.kickoffSpawns.map(spawn => spawn.name) }));
+        match.on('touch', ({ car }) => {
+            if (!this.isRecording) return;
+            
+            const index = carIndex(car);
+            const tick = this.recording.tickCount;
+            if (this.lastTouchTicks[index] !== tick - 1) {
+                this.addEvent('touch', { car: index });
+            }
+            this.lastTouchTicks[index] = tick;
+        });
+        match.on('boostPickup', ({ car }) => this.addEvent('boostPickup', { car: carIndex(car) }));
+        match.on('demolition', ({ attacker, victim }) => {
+            this.addEvent('demolition', { attacker: carIndex(attacker), victim: carIndex(victim) });
+        });
+        match.on('goal', ({ team, scorer }) => {
+            this.addEvent('goal', { team, scorer: scorer ? carIndex(scorer) : null, score: { ...match.score } });
+        });
+        match.on('overtime', () => this.addEvent('overtime'));
+        match.on('gameOver', ({ winner, score }) => this.addEvent('gameOver', { winner, score }));
+    }
+    
+    start() {
+        if (!this.isEnabled || this.match.isFreePlay) return;
+        
+        const match = this.match;
+        const stadium = match.stadium;
+        this.recording = new MatchRecording({
+            recordedAt: new Date().toISOString(),
+            mode: match.mode,
+            tickRate: null, // Set from the first tick
+            seed: match.seed,
+            ballProfile: match.ballProfile.name,
+            gameTime: match.gameTime,
+            arena: { ...stadium.dimensions, goal: { ...stadium.goalDimensions } },
+            cars: match.roster.map(entry => ({ ...entry }))
+        });
+        this.wasBoosting = match.cars.map(() => false);
+        this.lastTouchTicks = match.cars.map(() => null);
+        this.isRecording = true;
+    }
+    
+    stop() {
+        this.isRecording = false;
+    }
+    
+    // Events belong to the tick being simulated, which is recorded once it's over
+    addEvent(type, data) {
+        if (!this.isRecording) return;
+        this.recording.addEvent(this.recording.tickCount, type, data);
+    }
+    
+    // Record the tick that just ran
+    recordTick(deltaTime) {
+        const recording = this.recording;
+        const tick = recording.tickCount;
+        if (recording.header.tickRate === null) {
+            recording.header.tickRate = Math.round(1 / deltaTime);
+        }
+        
+        this.match.cars.forEach((car, i) => {
+            recording.addInputs(tick, i, car.controls);
+            
+            const isBoosting = car.isBoosting && !car.isDemolished;
+            if (isBoosting !== this.wasBoosting[i]) {
+                recording.addEvent(tick, isBoosting ? 'boostStart' : 'boostEnd', { car: i });
+                this.wasBoosting[i] = isBoosting;
+            }
+        });
+        
+        recording.addFrame(this.match);
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * MatchRecording class for a whole recorded match, as saved to and loaded from replay files
+ * Holds a header (arena, cars, ball profile), the transforms of every tick, each car's inputs
+ * and the match events (kickoffs, goals, touches, boosts, ...)
+ *
+ * Transforms are kept as integers (hundredths of a unit, thousandths of a quaternion) in one flat
+ * row per tick; files store each row as the change from the row before and are gzipped
+ */
+import * as THREE from 'three';
+
+export const REPLAY_FORMAT = 'rocket-league-clone-replay';
+export const REPLAY_VERSION = 1;
+
+// Scales of the stored integers
+const POSITION_SCALE = 100;
+const ROTATION_SCALE = 1000;
+const CLOCK_SCALE = 100;
+const INPUT_SCALE = 100;
+
+// Values in each tick's row: the clocks, then the ball, then each car
+const CLOCK_VALUES = 2; // Time remaining, overtime elapsed
+const BALL_VALUES = 7; // Position, quaternion
+const CAR_VALUES = 9; // Position, quaternion, boost amount, flags
+const CAR_FLAGS = { isBoosting: 1, isDemolished: 2 };
+
+// Car control buttons, stored as bits of one number with each input change
+const INPUT_BUTTONS = [
+    'forward', 'backward', 'left', 'right', 'jump', 'boost', 'drift', 'airRoll', 'airRollLeft', 'airRollRight'
+];
+
+export class MatchRecording {
+    constructor(header) {
+        this.header = header; // { recordedAt, mode, tickRate, seed, ballProfile, gameTime, arena, cars }
+        this.frames = []; // Rows of integers, one per tick
+        this.inputs = header.cars.map(() => []); // Per car: [tick, buttons, throttle, steer, pitch] when they change
+        this.events = []; // { tick, type, ... } in order
+    }
+    
+    // Values in a row
+    get stride() {
+        return CLOCK_VALUES + BALL_VALUES + CAR_VALUES * this.header.cars.length;
+    }
+    
+    get tickCount() {
+        return this.frames.length / this.stride;
+    }
+    
+    // Length in seconds
+    get duration() {
+        return this.tickCount / this.header.tickRate;
+    }
+    
+    // Append the match as it is now as the next tick
+    addFrame(match) {
+        const ball = match.ball;
+        const frames = this.frames;
+        
+        frames.push(
+            Math.round(match.timeRemaining * CLOCK_SCALE),
+            Math.round(match.overtimeElapsed * CLOCK_SCALE)
+        );
+        this.pushTransform(ball.position, ball.body.quaternion);
+        
+        match.cars.forEach(car => {
+            this.pushTransform(car.position, car.quaternion);
+            frames.push(
+                Math.round(car.boostAmount),
+                (car.isBoosting ? CAR_FLAGS.isBoosting : 0) | (car.isDemolished ? CAR_FLAGS.isDemolished : 0)
+            );
+        });
+    }
+    
+    pushTransform(position, quaternion) {
+        this.frames.push(
+            Math.round(position.x * POSITION_SCALE),
+            Math.round(position.y * POSITION_SCALE),
+            Math.round(position.z * POSITION_SCALE),
+            Math.round(quaternion.x * ROTATION_SCALE),
+            Math.round(quaternion.y * ROTATION_SCALE),
+            Math.round(quaternion.z * ROTATION_SCALE),
+            Math.round(quaternion.w * ROTATION_SCALE)
+        );
+    }
+    
+    // Store a car's controls at a tick, if they changed since the last ones stored
+    addInputs(tick, carIndex, controls) {
+        let buttons = 0;
+        INPUT_BUTTONS.forEach((name, bit) => {
+            if (controls[name]) buttons |= 1 << bit;
+        });
+        const entry = [
+            tick,
+            buttons,
+            Math.round((controls.throttle || 0) * INPUT_SCALE),
+            Math.round((controls.steer || 0) * INPUT_SCALE),
+            Math.round((controls.pitch || 0) * INPUT_SCALE)
+        ];
+        
+        const inputs = this.inputs[carIndex];
+        const last = inputs[inputs.length - 1];
+        if (last && last.every((value, i) => i === 0 || value === entry[i])) return;
+        
+        inputs.push(entry);
+    }
+    
+    addEvent(tick, type, data = {}) {
+        this.events.push({ tick, type, ...data });
+    }
+    
+    // Ball and car state at a tick (fractions blend the ticks around it),
+    // shaped like ReplayBuffer frames so the views can show it
+    getFrame(tick) {
+        const last = this.tickCount - 1;
+        const clamped = Math.max(0, Math.min(last, tick));
+        const index = Math.floor(clamped);
+        const next = Math.min(index + 1, last);
+        const alpha = clamped - index;
+        
+        const ballPosition = this.readPosition(index, CLOCK_VALUES, next, alpha);
+        const previousBallPosition = this.readPosition(Math.max(index - 1, 0), CLOCK_VALUES, index, alpha);
+        
+        const cars = this.header.cars.map((entry, i) => {
+            const offset = CLOCK_VALUES + BALL_VALUES + CAR_VALUES * i;
+            const flags = this.read(index, offset + 8);
+            return {
+                position: this.readPosition(index, offset, next, alpha),
+                quaternion: this.readQuaternion(index, offset + 3, next, alpha),
+                boostAmount: this.read(index, offset + 7),
+                isBoosting: (flags & CAR_FLAGS.isBoosting) !== 0,
+                isDemolished: (flags & CAR_FLAGS.isDemolished) !== 0
+            };
+        });
+        
+        return {
+            tick: clamped,
+            ball: {
+                position: ballPosition,
+                quaternion: this.readQuaternion(index, CLOCK_VALUES + 3, next, alpha),
+                speed: ballPosition.distanceTo(previousBallPosition) * this.header.tickRate
+            },
+            cars
+        };
+    }
+    
+    read(tick, offset) {
+        return this.frames[tick * this.stride + offset];
+    }
+    
+    readPosition(tick, offset, nextTick, alpha) {
+        const position = new THREE.Vector3();
+        const next = new THREE.Vector3();
+        position.set(this.read(tick, offset), this.read(tick, offset + 1), this.read(tick, offset + 2));
+        next.set(this.read(nextTick, offset), this.read(nextTick, offset + 1), this.read(nextTick, offset + 2));
+        return position.lerp(next, alpha).divideScalar(POSITION_SCALE);
+    }
+    
+    readQuaternion(tick, offset, nextTick, alpha) {
+        const quaternion = new THREE.Quaternion(
+            this.read(tick, offset), this.read(tick, offset + 1), this.read(tick, offset + 2), this.read(tick, offset + 3)
+        ).normalize();
+        const next = new THREE.Quaternion(
+            this.read(nextTick, offset), this.read(nextTick, offset + 1),
+            this.read(nextTick, offset + 2), this.read(nextTick, offset + 3)
+        ).normalize();
+        return quaternion.slerp(next, alpha);
+    }
+    
+    // Match clock at a tick, in seconds
+    getClock(tick) {
+        const index = Math.max(0, Math.min(this.tickCount - 1, Math.floor(tick)));
+        return {
+            timeRemaining: this.read(index, 0) / CLOCK_SCALE,
+            overtimeElapsed: this.read(index, 1) / CLOCK_SCALE,
+            isOvertime: this.events.some(event => event.type === 'overtime' && event.tick <= tick)
+        };
+    }
+    
+    // Score after the goals up to a tick
+    getScore(tick) {
+        const score = { blue: 0, orange: 0 };
+        this.events.forEach(event => {
+            if (event.type === 'goal' && event.tick <= tick) {
+                score[event.team]++;
+            }
+        });
+        return score;
+    }
+    
+    // A car's controls at a tick
+    getInputs(carIndex, tick) {
+        const inputs = this.inputs[carIndex];
+        let entry = null;
+        for (const candidate of inputs) {
+            if (candidate[0] > tick) break;
+            entry = candidate;
+        }
+        
+        const controls = { throttle: 0, steer: 0, pitch: 0 };
+        INPUT_BUTTONS.forEach((name, bit) => {
+            controls[name] = entry ? (entry[1] & (1 << bit)) !== 0 : false;
+        });
+        if (entry) {
+            controls.throttle = entry[2] / INPUT_SCALE;
+            controls.steer = entry[3] / INPUT_SCALE;
+            controls.pitch = entry[4] / INPUT_SCALE;
+        }
+        return controls;
+    }
+    
+    // Plain data for a replay file (rows stored as the change from the row before)
+    toJSON() {
+        const stride = this.stride;
+        const frames = this.frames.map((value, i) => i < stride ? value : value - this.frames[i - stride]);
+        
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            header: { ...this.header, tickCount: this.tickCount },
+            frames,
+            inputs: this.inputs,
+            events: this.events
+        };
+    }
+    
+    static fromJSON(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a replay file');
+        }
+        if (data.version > REPLAY_VERSION) {
+            throw new Error(`Replay file version ${data.version} is newer than this game supports`);
+        }
+        
+        const header = data.header;
+        if (!header || !Array.isArray(header.cars) || !(header.tickRate > 0)) {
+            throw new Error('Replay file is damaged');
+        }
+        
+        const recording = new MatchRecording(header);
+        const stride = recording.stride;
+        if (!Array.isArray(data.frames) || data.frames.length % stride !== 0) {
+            throw new Error('Replay file is damaged');
+        }
+        if (data.frames.length === 0) {
+            throw new Error('Replay file has no ticks');
+        }
+        
+        // Undo the change-from-last-row encoding
+        const frames = data.frames.slice();
+        for (let i = stride; i < frames.length; i++) {
+            frames[i] += frames[i - stride];
+        }
+        recording.frames = frames;
+        
+        // One list of [tick, buttons, throttle, steer, pitch] rows per car, and { tick, type, ... } events
+        const inputs = data.inputs;
+        const events = data.events;
+        const isInputList = list => Array.isArray(list) && list.every(entry => Array.isArray(entry) && typeof entry[0] === 'number');
+        const isEvent = event => event && typeof event.tick === 'number' && typeof event.type === 'string';
+        if (!Array.isArray(inputs) || inputs.length !== header.cars.length || !inputs.every(isInputList)
+            || !Array.isArray(events) || !events.every(isEvent)) {
+            throw new Error('Replay file is damaged');
+        }
+        recording.inputs = inputs;
+        recording.events = events;
+        return recording;
+    }
+    
+    // Gzipped file contents (plain JSON where the browser can't compress)
+    async toBlob() {
+        const json = new Blob([JSON.stringify(this)], { type: 'application/json' });
+        if (typeof CompressionStream === 'undefined') return json;
+        
+        const stream = json.stream().pipeThrough(new CompressionStream('gzip'));
+        return new Blob([await new Response(stream).arrayBuffer()], { type: 'application/gzip' });
+    }
+    
+    // Read a replay file, gzipped or not
+    static async fromBlob(blob) {
+        const bytes = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+        const isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+        
+        let text;
+        if (isGzip) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot open compressed replay files');
+            }
+            const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+            text = await new Response(stream).text();
+        } else {
+            text = await blob.text();
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a replay file');
+        }
+        return MatchRecording.fromJSON(data);
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * PlayerInput class for turning one local player's keys, mouse and gamepad into car controls
+ * Inputs are looked up through the player's InputBindings and read once per simulation tick
+ */
+import { ACTIONS, getBindingDevice } from './inputBindings.js';
+import { createControls } from './car.js';
+import { clamp } from './utils.js';
+
+export const DEFAULT_GAMEPAD_SETTINGS = {
+    deadzone: 0.15, // Stick and trigger travel ignored around rest (0-1)
+    sensitivity: 1 // Scales steering and pitch, e.g. 1.5 reaches full lock with two-thirds of the stick
+};
+
+// Pad inputs count as pressed past this much travel (for pressed-once actions and rebinding)
+export const GAMEPAD_PRESS_THRESHOLD = 0.5;
+
+export class PlayerInput {
+    constructor(car, bindings, settings = {}, onAction = null) {
+        this.car = car; // Car to drive
+        this.bindings = bindings; // See inputBindings.js
+        this.settings = {
+            deadzone: settings.deadzone ?? DEFAULT_GAMEPAD_SETTINGS.deadzone,
+            sensitivity: settings.sensitivity ?? DEFAULT_GAMEPAD_SETTINGS.sensitivity
+        };
+        this.onAction = onAction; // Called with the name of a pressed game action (pause, ballCam, ...)
+        this.gamepadIndex = null; // Index in navigator.getGamepads(), null while unplugged
+        
+        // Keys and mouse buttons held down, and ones pressed since the last read
+        // (so a tap shorter than a tick still counts)
+        this.held = new Set();
+        this.tapped = new Set();
+        
+        this.wasActive = {}; // Game actions held at the last read, to act on the press only
+    }
+    
+    get isConnected() {
+        return this.gamepadIndex !== null;
+    }
+    
+    connect(gamepadIndex) {
+        this.gamepadIndex = gamepadIndex;
+    }
+    
+    disconnect() {
+        this.gamepadIndex = null;
+    }
+    
+    // Record a key or mouse button, returns false if none of the player's actions use it
+    handleInput(binding, isDown) {
+        if (this.bindings.getActions(binding).length === 0) return false;
+        
+        if (isDown) {
+            this.held.add(binding);
+            this.tapped.add(binding);
+        } else {
+            this.held.delete(binding);
+        }
+        
+        return true;
+    }
+    
+    // Let go of everything (e.g. when the window loses focus and key releases go missing),
+    // the car's controls too, since nothing reads the inputs again while a menu is open
+    releaseAll() {
+        this.held.clear();
+        this.tapped.clear();
+        this.car.setControls(createControls());
+    }
+    
+    // Read every input and drive the car
+    update() {
+        const gamepad = this.getGamepad();
+        
+        // Keys give digital controls (which also pitch the car in the air),
+        // the gamepad gives analog throttle, steering and pitch
+        const keyValue = action => this.getActionValue(action, null);
+        const padValue = action => this.getActionValue(action, gamepad, true);
+        const value = action => Math.max(keyValue(action), padValue(action));
+        const isActive = action => value(action) >= GAMEPAD_PRESS_THRESHOLD;
+        
+        this.car.setControls({
+            forward: keyValue('forward') > 0,
+            backward: keyValue('backward') > 0,
+            left: keyValue('steerLeft') > 0,
+            right: keyValue('steerRight') > 0,
+            throttle: padValue('forward') - padValue('backward'),
+            steer: this.applySensitivity(padValue('steerRight') - padValue('steerLeft')),
+            pitch: this.applySensitivity(value('pitchForward') - value('pitchBackward')),
+            jump: isActive('jump'),
+            boost: isActive('boost'),
+            drift: isActive('powerslide'),
+            airRoll: isActive('powerslide'),
+            airRollLeft: isActive('airRollLeft'),
+            airRollRight: isActive('airRollRight')
+        });
+        
+        // Game actions fire once per press
+        ACTIONS.filter(action => action.type === 'game').forEach(({ name }) => {
+            const isPressed = isActive(name);
+            if (isPressed && !this.wasActive[name] && this.onAction) {
+                this.onAction(name);
+            }
+            this.wasActive[name] = isPressed;
+        });
+        
+        this.tapped.clear();
+    }
+    
+    getGamepad() {
+        if (!this.isConnected || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+    
+    // Strongest input bound to an action (0-1), from the keyboard and mouse or from the gamepad
+    getActionValue(action, gamepad, fromGamepad = false) {
+        let value = 0;
+        
+        this.bindings.bindings[action].forEach(binding => {
+            const isGamepad = getBindingDevice(binding) === 'gamepad';
+            if (isGamepad !== fromGamepad) return;
+            
+            const input = isGamepad
+                ? this.readGamepad(gamepad, binding)
+                : (this.held.has(binding) || this.tapped.has(binding) ? 1 : 0);
+            value = Math.max(value, input);
+        });
+        
+        return value;
+    }
+    
+    // Value of a pad button (e.g. 'Gamepad7') or one direction of an axis (e.g. 'GamepadAxis0-')
+    readGamepad(gamepad, binding) {
+        if (!gamepad) return 0;
+        
+        if (binding.startsWith('GamepadAxis')) {
+            const axis = Number(binding.slice('GamepadAxis'.length, -1));
+            const direction = binding.endsWith('-') ? -1 : 1;
+            return this.applyDeadzone(Math.max(0, (gamepad.axes[axis] || 0) * direction));
+        }
+        
+        const button = gamepad.buttons[Number(binding.slice('Gamepad'.length))];
+        return button ? this.applyDeadzone(button.value) : 0;
+    }
+    
+    // Rescale so input starts from zero at the edge of the deadzone
+    applyDeadzone(value) {
+        const deadzone = this.settings.deadzone;
+        if (value <= deadzone) return 0;
+        
+        return (value - deadzone) / (1 - deadzone);
+    }
+    
+    applySensitivity(value) {
+        return clamp(value * this.settings.sensitivity, -1, 1);
+    }
+}
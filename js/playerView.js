@@ -0,0 +1,192 @@
+/**
+ * PlayerView class for one local player's part of the screen
+ * Holds the player's follow camera (or ball cam), the viewport it renders into and the player's HUD
+ */
+import * as THREE from 'three';
+
+// Screen areas by number of players, as fractions of the screen measured from the top left
+export const SPLIT_SCREEN_LAYOUTS = {
+    1: [
+        { x: 0, y: 0, width: 1, height: 1 }
+    ],
+    2: [
+        { x: 0, y: 0, width: 1, height: 0.5 },
+        { x: 0, y: 0.5, width: 1, height: 0.5 }
+    ],
+    3: [
+        { x: 0, y: 0, width: 0.5, height: 0.5 },
+        { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+        { x: 0, y: 0.5, width: 0.5, height: 0.5 }
+    ],
+    4: [
+        { x: 0, y: 0, width: 0.5, height: 0.5 },
+        { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+        { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+        { x: 0.5, y: 0.5, width: 0.5, height: 0.5 }
+    ]
+};
+
+export class PlayerView {
+    constructor(car, carView, ballView, viewport) {
+        this.car = car; // Car the camera follows
+        this.carView = carView; // Its view, for the interpolated transform
+        this.ballView = ballView; // Ball view, for ball cam
+        this.viewport = viewport; // See SPLIT_SCREEN_LAYOUTS
+        this.isBallCam = false; // Look from behind the car at the ball instead of where the car points
+        
+        // Camera
+        this.camera = new THREE.PerspectiveCamera(
+            75, // Field of view
+            1, // Aspect ratio, set by resize()
+            0.1, // Near clipping plane
+            1000 // Far clipping plane
+        );
+        
+        // Camera smoothing
+        this.cameraTargetPosition = new THREE.Vector3();
+        this.cameraTargetLookAt = new THREE.Vector3();
+        this.cameraSmoothing = 0.08; // Lower value = smoother camera (0-1)
+        
+        // Camera stability
+        this.cameraUpVector = new THREE.Vector3(0, 1, 0); // Follows the surface the car drives on
+        
+        // HUD (boost and speed), placed over the viewport
+        this.hudElement = null;
+        this.boostElement = null;
+        this.speedElement = null;
+        
+        this.createHUD();
+        this.resize(window.innerWidth, window.innerHeight);
+        this.resetCamera();
+    }
+    
+    createHUD() {
+        this.hudElement = document.createElement('div');
+        this.hudElement.className = `player-hud ${this.car.team}`;
+        this.hudElement.style.left = `${this.viewport.x * 100}%`;
+        this.hudElement.style.top = `${this.viewport.y * 100}%`;
+        this.hudElement.style.width = `${this.viewport.width * 100}%`;
+        this.hudElement.style.height = `${this.viewport.height * 100}%`;
+        
+        this.speedElement = document.createElement('div');
+        this.speedElement.className = 'speed-meter';
+        this.hudElement.appendChild(this.speedElement);
+        
+        this.boostElement = document.createElement('div');
+        this.boostElement.className = 'boost-meter';
+        this.hudElement.appendChild(this.boostElement);
+        
+        document.getElementById('game-container').appendChild(this.hudElement);
+    }
+    
+    resize(width, height) {
+        this.camera.aspect = (this.viewport.width * width) / (this.viewport.height * height);
+        this.camera.updateProjectionMatrix();
+    }
+    
+    // Draw the scene into this player's part of the screen
+    render(renderer, scene) {
+        const size = renderer.getSize(new THREE.Vector2());
+        const width = this.viewport.width * size.x;
+        const height = this.viewport.height * size.y;
+        const x = this.viewport.x * size.x;
+        const y = (1 - this.viewport.y - this.viewport.height) * size.y; // WebGL measures from the bottom
+        
+        renderer.setViewport(x, y, width, height);
+        renderer.setScissor(x, y, width, height);
+        renderer.render(scene, this.camera);
+    }
+    
+    toggleBallCam() {
+        this.isBallCam = !this.isBallCam;
+        this.hudElement.classList.toggle('ball-cam', this.isBallCam);
+    }
+    
+    updateHUD() {
+        this.boostElement.textContent = Math.floor(this.car.boostAmount);
+        this.speedElement.textContent = Math.round(this.car.velocity.length());
+    }
+    
+    updateCamera() {
+        // Follow the car with a completely decoupled camera system
+        const car = this.car;
+        const carMesh = this.carView.mesh; // Interpolated transform
+        
+        // The camera's "up" eases towards the surface the car drives on (world up in the air),
+        // so driving onto a wall or the ceiling rolls the view smoothly instead of snapping it
+        const targetUp = car.isOnGround ? car.surfaceNormal : new THREE.Vector3(0, 1, 0);
+        this.cameraUpVector.lerp(targetUp, this.cameraSmoothing);
+        if (this.cameraUpVector.lengthSq() < 1e-4) {
+            this.cameraUpVector.copy(targetUp);
+        }
+        this.cameraUpVector.normalize();
+        
+        // Create a stable forward direction by flattening the car's heading (or, in ball cam, the
+        // direction to the ball) onto the camera's up plane
+        // This ensures the camera follows the car's direction but doesn't flip or roll with it
+        const ballPosition = this.ballView.mesh.position;
+        const viewDirection = this.isBallCam
+            ? ballPosition.clone().sub(carMesh.position)
+            : car.getForwardDirection();
+        const stableForward = viewDirection.projectOnPlane(this.cameraUpVector);
+        if (stableForward.lengthSq() < 1e-4) {
+            // Car points straight along the up vector (mid-transition), keep the current view direction
+            stableForward.subVectors(this.cameraTargetLookAt, this.cameraTargetPosition)
+                .projectOnPlane(this.cameraUpVector);
+        }
+        stableForward.normalize();
+        
+        // Calculate ideal camera position - position behind and above the car
+        const idealPosition = carMesh.position.clone()
+            .addScaledVector(stableForward, -40)
+            .addScaledVector(this.cameraUpVector, 20); // Height and distance for good view
+        
+        // Ensure camera doesn't go below ground level
+        idealPosition.y = Math.max(idealPosition.y, 5);
+        
+        // Smoothly update camera target position with reduced smoothing for more responsive camera
+        this.cameraTargetPosition.lerp(idealPosition, this.cameraSmoothing);
+        
+        // Calculate look-at point - slightly ahead of the car, or the ball itself in ball cam
+        // Use the stable forward direction to ensure consistent look-at point
+        const idealLookAt = this.isBallCam
+            ? ballPosition.clone()
+            : carMesh.position.clone()
+                .addScaledVector(stableForward, 30)
+                .addScaledVector(this.cameraUpVector, 5);
+        
+        // Smoothly update camera target look-at
+        this.cameraTargetLookAt.lerp(idealLookAt, this.cameraSmoothing);
+        
+        // Apply smoothed camera position and look-at
+        // The up vector must be set before lookAt so it takes effect this frame
+        this.camera.up.copy(this.cameraUpVector);
+        this.camera.position.copy(this.cameraTargetPosition);
+        this.camera.lookAt(this.cameraTargetLookAt);
+    }
+    
+    // Snap the camera behind the car after a reset, avoiding a jarring swing from the old spot
+    resetCamera() {
+        const carPosition = this.car.position.clone();
+        
+        // Create a stable quaternion for camera reset (only Y rotation)
+        const carQuaternion = this.car.quaternion.clone();
+        const carEuler = new THREE.Euler().setFromQuaternion(carQuaternion, 'YXZ');
+        const stableQuaternion = new THREE.Quaternion().setFromEuler(
+            new THREE.Euler(0, carEuler.y, 0)
+        );
+        
+        // Apply stable quaternion to camera offset
+        const behindCar = new THREE.Vector3(0, 20, -40);
+        behindCar.applyQuaternion(stableQuaternion);
+        
+        // Set camera position behind car
+        this.cameraTargetPosition.copy(carPosition).add(behindCar);
+        
+        // Set look-at point to car position
+        this.cameraTargetLookAt.copy(carPosition);
+        
+        // Cars always respawn on the floor
+        this.cameraUpVector.set(0, 1, 0);
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * RemoteBotController class: drives a car with controls sent by an external bot (see BotBridge)
+ * Until the bot's first controls arrive, and whenever it goes quiet for longer than the timeout,
+ * the car's built-in controller drives instead
+ */
+import { AIController } from './aiController.js';
+import { createControls } from './car.js';
+import { clamp } from './utils.js';
+
+// Controls a bot can send: on/off buttons and -1 to 1 axes (anything else is ignored)
+const BUTTONS = ['forward', 'backward', 'left', 'right', 'boost', 'jump', 'drift', 'airRoll', 'airRollLeft', 'airRollRight'];
+const AXES = ['throttle', 'steer', 'pitch'];
+
+export class RemoteBotController extends AIController {
+    constructor(name, fallback, timeout) {
+        super(name);
+        this.fallback = fallback; // Built-in controller, null for none (the car then waits)
+        this.timeout = timeout; // Seconds of match time without controls before the fallback drives
+        this.controls = null; // Latest controls from the bot
+        this.controlsAge = 0; // Seconds since they arrived
+    }
+    
+    reset() {
+        if (this.fallback) this.fallback.reset();
+    }
+    
+    // Controls received from the bot, shaped like createControls() in car.js
+    setControls(controls) {
+        const sanitized = {};
+        BUTTONS.forEach(name => {
+            if (name in controls) sanitized[name] = Boolean(controls[name]);
+        });
+        AXES.forEach(name => {
+            if (Number.isFinite(controls[name])) sanitized[name] = clamp(controls[name], -1, 1);
+        });
+        this.controls = sanitized;
+        this.controlsAge = 0;
+    }
+    
+    get isTimedOut() {
+        return !this.controls || this.controlsAge > this.timeout;
+    }
+    
+    getControls(snapshot, carIndex, deltaTime) {
+        this.controlsAge += deltaTime;
+        
+        // The fallback keeps watching the play so it can take over at once
+        const fallbackControls = this.fallback ? this.fallback.getControls(snapshot, carIndex, deltaTime) : createControls();
+        return this.isTimedOut ? fallbackControls : this.controls;
+    }
+}
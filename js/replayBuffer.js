@@ -0,0 +1,88 @@
+/**
+ * ReplayBuffer class for the last few seconds of a match, for instant replays
+ * Every simulation tick records the ball and car transforms; frames older than
+ * the buffer length are dropped
+ */
+import * as THREE from 'three';
+
+export class ReplayBuffer {
+    constructor(length = 8) {
+        this.length = length; // Seconds of play kept
+        this.frames = []; // Oldest first: { time, ball, cars }
+    }
+    
+    get startTime() {
+        return this.frames.length > 0 ? this.frames[0].time : 0;
+    }
+    
+    get endTime() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+    }
+    
+    clear() {
+        this.frames = [];
+    }
+    
+    // Record the match as it is at the given time (seconds)
+    record(time, ball, cars) {
+        this.frames.push({
+            time,
+            ball: {
+                position: ball.position,
+                quaternion: new THREE.Quaternion().copy(ball.body.quaternion),
+                speed: ball.body.velocity.length()
+            },
+            cars: cars.map(car => ({
+                position: car.position.clone(),
+                quaternion: car.quaternion.clone(),
+                isBoosting: car.isBoosting,
+                isDemolished: car.isDemolished
+            }))
+        });
+        
+        while (this.frames.length > 0 && this.frames[0].time < time - this.length) {
+            this.frames.shift();
+        }
+    }
+    
+    // The recorded state at a time, blended between the two frames around it
+    getFrameAt(time) {
+        const frames = this.frames;
+        if (frames.length === 0) return null;
+        if (time <= frames[0].time) return frames[0];
+        if (time >= this.endTime) return frames[frames.length - 1];
+        
+        // Binary search for the first frame after the time
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (frames[middle].time <= time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        
+        const before = frames[low - 1];
+        const after = frames[low];
+        const alpha = (time - before.time) / (after.time - before.time);
+        
+        return {
+            time,
+            ball: { ...this.blend(before.ball, after.ball, alpha), speed: before.ball.speed },
+            cars: before.cars.map((car, i) => ({
+                ...this.blend(car, after.cars[i], alpha),
+                isBoosting: car.isBoosting,
+                isDemolished: car.isDemolished
+            }))
+        };
+    }
+    
+    blend(before, after, alpha) {
+        return {
+            position: new THREE.Vector3().lerpVectors(before.position, after.position, alpha),
+            quaternion: before.quaternion.clone().slerp(after.quaternion, alpha)
+        };
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * ReplayCamera class for the cinematic camera of instant replays
+ * Cuts between a few shots of the ball as the replay plays: from beside the goal,
+ * chasing behind the scorer, and circling the ball
+ */
+import * as THREE from 'three';
+
+export const REPLAY_SHOTS = ['goal', 'chase', 'orbit'];
+
+export class ReplayCamera {
+    constructor(stadium) {
+        this.stadium = stadium;
+        this.camera = new THREE.PerspectiveCamera(
+            60, // Narrower than the follow camera for a broadcast look
+            window.innerWidth / window.innerHeight,
+            0.1,
+            1000
+        );
+        this.shotLength = 1.7; // Seconds of replay (match time) per shot, so a default replay shows all three
+        this.smoothing = 0.1; // How quickly the camera eases towards each shot (0-1)
+        this.lookAt = new THREE.Vector3();
+        this.shot = null;
+    }
+    
+    resize(width, height) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    // Frame a replay frame; replay is the match's replay ({ startTime, time, team }),
+    // scorerFrame the recorded state of the scoring car (or null)
+    update(replay, ballFrame, scorerFrame) {
+        const shot = REPLAY_SHOTS[Math.floor((replay.time - replay.startTime) / this.shotLength) % REPLAY_SHOTS.length];
+        const ball = ballFrame.position;
+        const target = this.keepInsideStadium(this.getShotPosition(shot, replay, ball, scorerFrame));
+        
+        // Cut to a new shot, then ease within it
+        if (shot !== this.shot) {
+            this.shot = shot;
+            this.camera.position.copy(target);
+            this.lookAt.copy(ball);
+        } else {
+            this.camera.position.lerp(target, this.smoothing);
+            this.lookAt.lerp(ball, this.smoothing * 3);
+        }
+        
+        this.camera.up.set(0, 1, 0);
+        this.camera.lookAt(this.lookAt);
+    }
+    
+    keepInsideStadium(position) {
+        const { width, height, length } = this.stadium.dimensions;
+        const margin = 5;
+        
+        position.x = Math.max(-width / 2 + margin, Math.min(width / 2 - margin, position.x));
+        position.y = Math.max(margin, Math.min(height - margin, position.y));
+        position.z = Math.max(-length / 2 + margin, Math.min(length / 2 - margin, position.z));
+        return position;
+    }
+    
+    getShotPosition(shot, replay, ball, scorerFrame) {
+        switch (shot) {
+            case 'goal': {
+                // Low, beside the goal that was scored on (blue scores at +z)
+                const goalZ = (this.stadium.dimensions.length / 2) * (replay.team === 'blue' ? 1 : -1);
+                const side = ball.x >= 0 ? 1 : -1;
+                return new THREE.Vector3(side * this.stadium.goalDimensions.width, 15, goalZ * 0.9);
+            }
+            case 'chase': {
+                // Behind the scorer, looking past them at the ball
+                const from = scorerFrame ? scorerFrame.position : new THREE.Vector3(0, 0, 0);
+                const direction = ball.clone().sub(from).setY(0);
+                if (direction.lengthSq() < 1e-4) direction.set(0, 0, 1);
+                direction.normalize();
+                return from.clone().addScaledVector(direction, -35).setY(Math.max(from.y, 0) + 18);
+            }
+            default: {
+                // Slowly circling the ball
+                const angle = replay.time * 0.4;
+                return ball.clone().add(new THREE.Vector3(Math.cos(angle) * 60, 25, Math.sin(angle) * 60));
+            }
+        }
+    }
+}
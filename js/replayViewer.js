@@ -0,0 +1,336 @@
+/**
+ * ReplayViewer class for watching a recorded match (see MatchRecording)
+ * Builds its own scene from the recording's header and plays it back with play/pause,
+ * scrubbing, speed control and a free camera or one following any car
+ */
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { Match } from './match.js';
+import { StadiumView } from './stadiumView.js';
+import { BallView } from './ballView.js';
+import { CarView } from './carView.js';
+import { addLighting } from './lighting.js';
+import { getBotDifficulty } from './botDifficulties.js';
+import { formatTime } from './utils.js';
+
+export const VIEWER_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export class ReplayViewer {
+    constructor(background, onClose = null) {
+        this.background = background; // Scene background, shared with the game
+        this.onClose = onClose;
+        this.recording = null;
+        this.isOpen = false;
+        this.isPlaying = false;
+        this.isScrubbing = false; // Timeline handle held, so playback doesn't move it
+        this.tick = 0; // Playback position, in (fractional) ticks
+        this.speed = 1;
+        this.followCar = null; // Index of the car the camera follows, null for the free camera
+        this.seekStep = 5; // Seconds skipped by the arrow keys
+        
+        // Scene built for each recording
+        this.scene = null;
+        this.stadiumView = null;
+        this.ballView = null;
+        this.carViews = [];
+        
+        // Camera, free (orbit controls) or following a car
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.orbitControls = new OrbitControls(this.camera, document.getElementById('game'));
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.dampingFactor = 0.05;
+        this.orbitControls.maxDistance = 500;
+        this.orbitControls.enabled = false;
+        this.followLookAt = new THREE.Vector3();
+        this.followSmoothing = 0.1; // How quickly the follow camera catches up (0-1)
+        this.snapCamera = true; // Jump straight into place (after seeking or switching cars)
+        
+        // UI elements
+        this.element = document.getElementById('replay-viewer');
+        this.infoElement = document.getElementById('viewer-info');
+        this.timelineElement = document.getElementById('viewer-timeline');
+        this.markersElement = document.getElementById('viewer-markers');
+        this.playButton = document.getElementById('viewer-play-button');
+        this.timeElement = document.getElementById('viewer-time');
+        this.speedElement = document.getElementById('viewer-speed');
+        this.cameraElement = document.getElementById('viewer-camera');
+        this.blueScoreElement = document.getElementById('blue-score');
+        this.orangeScoreElement = document.getElementById('orange-score');
+        this.timerElement = document.getElementById('timer');
+        
+        this.setupControls();
+    }
+    
+    setupControls() {
+        this.addButtonListener(this.playButton, () => this.togglePlay());
+        this.addButtonListener(document.getElementById('viewer-close-button'), () => this.close());
+        
+        // Scrubbing
+        this.timelineElement.addEventListener('input', () => this.seek(Number(this.timelineElement.value)));
+        this.timelineElement.addEventListener('pointerdown', () => {
+            this.isScrubbing = true;
+        });
+        window.addEventListener('pointerup', () => {
+            this.isScrubbing = false;
+        });
+        
+        VIEWER_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            option.selected = speed === this.speed;
+            this.speedElement.appendChild(option);
+        });
+        this.speedElement.addEventListener('change', () => {
+            this.speed = Number(this.speedElement.value);
+            this.speedElement.blur();
+        });
+        
+        this.cameraElement.addEventListener('change', () => {
+            this.setFollowCar(this.cameraElement.value === 'free' ? null : Number(this.cameraElement.value));
+            this.cameraElement.blur();
+        });
+    }
+    
+    addButtonListener(button, action) {
+        button.addEventListener('click', () => {
+            // Don't leave focus on the button, or Space would press it as well as play/pause
+            button.blur();
+            action();
+        });
+    }
+    
+    // Throws, changing nothing, if the recording's arena or cars can't be built
+    open(recording) {
+        this.createScene(recording);
+        this.recording = recording;
+        this.tick = 0;
+        this.isPlaying = true;
+        this.isOpen = true;
+        
+        this.createUI();
+        this.setFollowCar(null);
+        this.element.classList.add('visible');
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.isPlaying = false;
+        this.orbitControls.enabled = false;
+        this.element.classList.remove('visible');
+        
+        // Let the scene go with the recording
+        this.disposeScene();
+        this.scene = null;
+        this.stadiumView = null;
+        this.ballView = null;
+        this.carViews = [];
+        this.recording = null;
+        
+        if (this.onClose) this.onClose();
+    }
+    
+    // Views of the recorded arena, ball and cars, made from a match that is never stepped
+    createScene(recording) {
+        const header = recording.header;
+        const match = new Match({ roster: header.cars, ballProfile: header.ballProfile, record: false });
+        
+        this.scene = new THREE.Scene();
+        this.scene.background = this.background;
+        addLighting(this.scene);
+        
+        this.stadiumView = new StadiumView(this.scene, match.stadium);
+        this.ballView = new BallView(this.scene, match.ball);
+        this.carViews = match.cars.map(car => new CarView(this.scene, car));
+    }
+    
+    // Free the GPU resources of the scene's meshes and lights (the background belongs to the game)
+    disposeScene() {
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.forEach(material => {
+                    Object.values(material).forEach(value => {
+                        if (value && value.isTexture) value.dispose();
+                    });
+                    material.dispose();
+                });
+            }
+            if (object.isLight) object.dispose();
+        });
+    }
+    
+    createUI() {
+        const recording = this.recording;
+        const header = recording.header;
+        const teamSize = header.cars.filter(car => car.team === 'blue').length;
+        
+        const mode = header.mode === 'freePlay' ? 'Free play' : `${teamSize}v${teamSize}`;
+        this.infoElement.textContent =
+            `${new Date(header.recordedAt).toLocaleString()} · ${mode} · ${header.ballProfile} ball`;
+        
+        this.timelineElement.max = Math.max(0, recording.tickCount - 1);
+        
+        // A mark on the timeline for each goal
+        this.markersElement.innerHTML = '';
+        recording.events.filter(event => event.type === 'goal').forEach(event => {
+            const marker = document.createElement('div');
+            marker.className = `viewer-marker ${event.team}`;
+            marker.style.left = `${(event.tick / recording.tickCount) * 100}%`;
+            marker.title = `${event.team === 'blue' ? 'Blue' : 'Orange'} goal (${event.score.blue} - ${event.score.orange})`;
+            this.markersElement.appendChild(marker);
+        });
+        
+        // Free camera, or follow any car
+        this.cameraElement.innerHTML = '';
+        const cameras = [{ value: 'free', label: 'Free camera' }];
+        const teamCounts = { blue: 0, orange: 0 };
+        header.cars.forEach((car, i) => {
+            teamCounts[car.team]++;
+            const team = car.team === 'blue' ? 'Blue' : 'Orange';
+            const driver = car.controller === 'human'
+                ? `Player ${car.player + 1}`
+                : `${getBotDifficulty(car.difficulty).label} AI`;
+            cameras.push({ value: i, label: `${team} ${teamCounts[car.team]} (${driver})` });
+        });
+        cameras.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.cameraElement.appendChild(option);
+        });
+    }
+    
+    togglePlay() {
+        // Playing from the end starts over
+        if (!this.isPlaying && this.tick >= this.recording.tickCount - 1) {
+            this.seek(0);
+        }
+        this.isPlaying = !this.isPlaying;
+    }
+    
+    // Jump to a tick
+    seek(tick) {
+        this.tick = Math.max(0, Math.min(this.recording.tickCount - 1, tick));
+        this.ballView.clearTrail();
+        this.snapCamera = true;
+    }
+    
+    setFollowCar(index) {
+        this.followCar = index;
+        this.orbitControls.enabled = index === null;
+        this.cameraElement.value = index === null ? 'free' : index;
+        
+        if (index === null) {
+            // Free camera starts over the middle of the field
+            this.camera.up.set(0, 1, 0);
+            this.camera.position.set(0, 80, 160);
+            this.orbitControls.target.set(0, 0, 0);
+        }
+        this.snapCamera = true;
+    }
+    
+    handleKeyDown(event) {
+        switch (event.code) {
+            case 'Space':
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                this.seek(this.tick - this.seekStep * this.recording.header.tickRate);
+                break;
+            case 'ArrowRight':
+                this.seek(this.tick + this.seekStep * this.recording.header.tickRate);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+    
+    resize(width, height) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    // Move playback on by real time and show the recording there
+    render(deltaTime) {
+        const recording = this.recording;
+        const lastTick = recording.tickCount - 1;
+        
+        if (this.isPlaying && !this.isScrubbing) {
+            this.tick += deltaTime * recording.header.tickRate * this.speed;
+            if (this.tick >= lastTick) {
+                this.tick = lastTick;
+                this.isPlaying = false;
+            }
+        }
+        
+        const frame = recording.getFrame(this.tick);
+        this.stadiumView.update(deltaTime);
+        this.ballView.showRecorded(frame.ball);
+        this.carViews.forEach((view, i) => view.showRecorded(frame.cars[i], deltaTime));
+        
+        this.updateCamera(frame);
+        this.updateUI();
+    }
+    
+    updateCamera(frame) {
+        if (this.followCar === null) {
+            this.orbitControls.update();
+            return;
+        }
+        
+        // Behind and above the car, looking along its heading
+        const car = frame.cars[this.followCar];
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(car.quaternion).setY(0);
+        if (forward.lengthSq() < 1e-4) forward.set(0, 0, 1);
+        forward.normalize();
+        
+        const idealPosition = car.position.clone().addScaledVector(forward, -40);
+        idealPosition.y = Math.max(car.position.y + 20, 5);
+        const idealLookAt = car.position.clone().addScaledVector(forward, 10);
+        
+        const smoothing = this.snapCamera ? 1 : this.followSmoothing;
+        this.camera.position.lerp(idealPosition, smoothing);
+        this.followLookAt.lerp(idealLookAt, smoothing);
+        this.snapCamera = false;
+        
+        this.camera.up.set(0, 1, 0);
+        this.camera.lookAt(this.followLookAt);
+    }
+    
+    updateUI() {
+        const recording = this.recording;
+        const tickRate = recording.header.tickRate;
+        
+        this.playButton.textContent = this.isPlaying ? 'Pause' : 'Play';
+        if (!this.isScrubbing) {
+            this.timelineElement.value = Math.floor(this.tick);
+        }
+        this.timeElement.textContent = `${formatTime(this.tick / tickRate)} / ${formatTime(recording.duration)}`;
+        
+        // Scoreboard as it was at this point of the match
+        const score = recording.getScore(this.tick);
+        const clock = recording.getClock(this.tick);
+        this.blueScoreElement.textContent = score.blue;
+        this.orangeScoreElement.textContent = score.orange;
+        if (recording.header.mode === 'freePlay') {
+            this.timerElement.textContent = 'Free play';
+        } else if (clock.isOvertime) {
+            this.timerElement.textContent = '+' + formatTime(clock.overtimeElapsed);
+        } else {
+            this.timerElement.textContent = formatTime(clock.timeRemaining);
+        }
+        this.timerElement.classList.toggle('overtime', clock.isOvertime);
+    }
+    
+    draw(renderer) {
+        const size = renderer.getSize(new THREE.Vector2());
+        renderer.setViewport(0, 0, size.x, size.y);
+        renderer.render(this.scene, this.camera);
+    }
+}
@@ -1,20 +1,58 @@
 /**
- * Stadium class for creating and managing the game arena
+ * Stadium class for the game arena's colliders, drivable surfaces, goals and boost pads
+ * The stadium has no meshes; StadiumView draws it
  */
 import * as THREE from 'three';
 import * as CANNON from 'cannon';
-import { CSG } from './csg.js';
+
+// Default boost pad positions on the floor (x, z); large pads give a full tank
+export const DEFAULT_BOOST_PAD_LAYOUT = [
+    // Large pads in the corners and at midfield by the side walls
+    { x: -125, z: -190, large: true },
+    { x: 125, z: -190, large: true },
+    { x: -130, z: 0, large: true },
+    { x: 130, z: 0, large: true },
+    { x: -125, z: 190, large: true },
+    { x: 125, z: 190, large: true },
+    
+    // Small pads spread over the rest of the field
+    { x: 0, z: -70 },
+    { x: 0, z: 70 },
+    { x: -70, z: 0 },
+    { x: 70, z: 0 },
+    { x: -40, z: -130 },
+    { x: 40, z: -130 },
+    { x: -40, z: 130 },
+    { x: 40, z: 130 },
+    { x: -100, z: -90 },
+    { x: 100, z: -90 },
+    { x: -100, z: 90 },
+    { x: 100, z: 90 },
+    { x: 0, z: -190 },
+    { x: 0, z: 190 },
+    { x: -70, z: -200 },
+    { x: 70, z: -200 },
+    { x: -70, z: 200 },
+    { x: 70, z: 200 }
+];
 
 export class Stadium {
-    constructor(scene, world) {
-        this.scene = scene;
+    constructor(world, boostPadLayout = DEFAULT_BOOST_PAD_LAYOUT) {
         this.world = world; // Physics world
-        this.mesh = null;
-        this.walls = [];
-        this.goals = {
-            blue: null,
-            orange: null
-        };
+        this.surfaces = []; // Planes the cars can drive on
+        this.boostPads = [];
+        this.boostPadLayout = boostPadLayout;
+        
+        // Boost pad settings
+        this.smallPadBoost = 12;
+        this.largePadBoost = 100;
+        this.smallPadRespawnTime = 4; // Seconds
+        this.largePadRespawnTime = 10; // Seconds
+        this.padPickupHeight = 10; // Cars higher than this above a pad can't collect it
+        
+        // Physics materials, paired with the ball's material in contact materials
+        this.floorMaterial = new CANNON.Material('floor');
+        this.wallMaterial = new CANNON.Material('wall'); // Walls, ceiling and goals
         
         this.dimensions = {
             width: 300,    // X-axis (increased from 200)
@@ -23,6 +61,19 @@ export class Stadium {
             wallThickness: 5
         };
         
+        // Goal mouth and net size
+        this.goalDimensions = {
+            width: 80,     // Increased from 60 to make goals wider
+            height: 60,    // Increased from 45 to make goals taller
+            depth: 25      // Increased from 20 to make goals deeper
+        };
+        
+        // Center of the goal line each team defends
+        this.goals = {
+            blue: new THREE.Vector3(0, 0, -this.dimensions.length / 2),
+            orange: new THREE.Vector3(0, 0, this.dimensions.length / 2)
+        };
+        
         this.createStadium();
     }
     
@@ -39,30 +90,11 @@ export class Stadium {
         // Add ceiling
         this.createCeiling();
         
-        // Add field markings
-        this.createFieldMarkings();
+        // Add boost pads
+        this.createBoostPads();
     }
     
     createFloor() {
-        // Create floor geometry
-        const floorGeometry = new THREE.BoxGeometry(
-            this.dimensions.width, 
-            this.dimensions.wallThickness, 
-            this.dimensions.length
-        );
-        
-        // Create floor material
-        const floorMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x222222,
-            roughness: 0.8
-        });
-        
-        // Create floor mesh
-        this.floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        this.floor.position.y = -this.dimensions.wallThickness / 2;
-        this.floor.receiveShadow = true;
-        this.scene.add(this.floor);
-        
         // Add floor to physics world
         const floorShape = new CANNON.Box(new CANNON.Vec3(
             this.dimensions.width / 2,
@@ -74,49 +106,18 @@ export class Stadium {
             mass: 0, // Static body
             position: new CANNON.Vec3(0, -this.dimensions.wallThickness / 2, 0),
             shape: floorShape,
-            material: new CANNON.Material({ friction: 0.3, restitution: 0.4 })
+            material: this.floorMaterial
         });
         
         this.world.addBody(floorBody);
+        
+        // Cars drive on the top face of the floor
+        this.addSurface('floor', new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 0));
     }
     
     createWalls() {
-        // Create gradient wall materials
-        const blueWallMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x1976d2,
-            roughness: 0.6,
-            metalness: 0.2
-        });
-        
-        const orangeWallMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xf57c00,
-            roughness: 0.6,
-            metalness: 0.2
-        });
-        
         // Side walls (along Z-axis)
         for (let i = -1; i <= 1; i += 2) {
-            const sideWallGeometry = new THREE.BoxGeometry(
-                this.dimensions.wallThickness,
-                this.dimensions.height,
-                this.dimensions.length
-            );
-            
-            // Use blue for left wall, orange for right wall
-            const wallMaterial = i < 0 ? blueWallMaterial : orangeWallMaterial;
-            
-            const sideWall = new THREE.Mesh(sideWallGeometry, wallMaterial);
-            sideWall.position.set(
-                i * (this.dimensions.width / 2 + this.dimensions.wallThickness / 2),
-                this.dimensions.height / 2,
-                0
-            );
-            sideWall.castShadow = true;
-            sideWall.receiveShadow = true;
-            this.scene.add(sideWall);
-            this.walls.push(sideWall);
-            
-            // Add to physics world
             const sideWallShape = new CANNON.Box(new CANNON.Vec3(
                 this.dimensions.wallThickness / 2,
                 this.dimensions.height / 2,
@@ -130,75 +131,25 @@ export class Stadium {
                     this.dimensions.height / 2,
                     0
                 ),
-                shape: sideWallShape
+                shape: sideWallShape,
+                material: this.wallMaterial
             });
             
             this.world.addBody(sideWallBody);
+            
+            // Drivable inner face of the side wall
+            this.addSurface(
+                i < 0 ? 'leftWall' : 'rightWall',
+                new THREE.Vector3(-i, 0, 0),
+                new THREE.Vector3(i * this.dimensions.width / 2, 0, 0)
+            );
         }
         
         // End walls (along X-axis, excluding goal areas)
-        const goalWidth = 80; // Increased from 60 to make goals wider
-        const goalHeight = 60; // Increased from 45 to make goals taller
+        const goalWidth = this.goalDimensions.width;
+        const goalHeight = this.goalDimensions.height;
         
         for (let i = -1; i <= 1; i += 2) {
-            // Choose material based on which end (blue or orange)
-            const endWallMaterial = i < 0 ? blueWallMaterial : orangeWallMaterial;
-            
-            // Left section of end wall
-            const leftEndWallGeometry = new THREE.BoxGeometry(
-                (this.dimensions.width - goalWidth) / 2,
-                this.dimensions.height,
-                this.dimensions.wallThickness
-            );
-            
-            const leftEndWall = new THREE.Mesh(leftEndWallGeometry, endWallMaterial);
-            leftEndWall.position.set(
-                -(this.dimensions.width + goalWidth) / 4,
-                this.dimensions.height / 2,
-                i * (this.dimensions.length / 2 + this.dimensions.wallThickness / 2)
-            );
-            leftEndWall.castShadow = true;
-            leftEndWall.receiveShadow = true;
-            this.scene.add(leftEndWall);
-            this.walls.push(leftEndWall);
-            
-            // Right section of end wall
-            const rightEndWallGeometry = new THREE.BoxGeometry(
-                (this.dimensions.width - goalWidth) / 2,
-                this.dimensions.height,
-                this.dimensions.wallThickness
-            );
-            
-            const rightEndWall = new THREE.Mesh(rightEndWallGeometry, endWallMaterial);
-            rightEndWall.position.set(
-                (this.dimensions.width + goalWidth) / 4,
-                this.dimensions.height / 2,
-                i * (this.dimensions.length / 2 + this.dimensions.wallThickness / 2)
-            );
-            rightEndWall.castShadow = true;
-            rightEndWall.receiveShadow = true;
-            this.scene.add(rightEndWall);
-            this.walls.push(rightEndWall);
-            
-            // Top section of end wall (above goal)
-            const topEndWallGeometry = new THREE.BoxGeometry(
-                goalWidth,
-                this.dimensions.height - goalHeight,
-                this.dimensions.wallThickness
-            );
-            
-            const topEndWall = new THREE.Mesh(topEndWallGeometry, endWallMaterial);
-            topEndWall.position.set(
-                0,
-                goalHeight + (this.dimensions.height - goalHeight) / 2,
-                i * (this.dimensions.length / 2 + this.dimensions.wallThickness / 2)
-            );
-            topEndWall.castShadow = true;
-            topEndWall.receiveShadow = true;
-            this.scene.add(topEndWall);
-            this.walls.push(topEndWall);
-            
-            // Add to physics world
             // Left section
             const leftEndWallShape = new CANNON.Box(new CANNON.Vec3(
                 (this.dimensions.width - goalWidth) / 4,
@@ -213,7 +164,8 @@ export class Stadium {
                     this.dimensions.height / 2,
                     i * (this.dimensions.length / 2 + this.dimensions.wallThickness / 2)
                 ),
-                shape: leftEndWallShape
+                shape: leftEndWallShape,
+                material: this.wallMaterial
             });
             
             this.world.addBody(leftEndWallBody);
@@ -232,12 +184,13 @@ export class Stadium {
                     this.dimensions.height / 2,
                     i * (this.dimensions.length / 2 + this.dimensions.wallThickness / 2)
                 ),
-                shape: rightEndWallShape
+                shape: rightEndWallShape,
+                material: this.wallMaterial
             });
             
             this.world.addBody(rightEndWallBody);
             
-            // Top section
+            // Top section (above goal)
             const topEndWallShape = new CANNON.Box(new CANNON.Vec3(
                 goalWidth / 2,
                 (this.dimensions.height - goalHeight) / 2,
@@ -251,15 +204,24 @@ export class Stadium {
                     goalHeight + (this.dimensions.height - goalHeight) / 2,
                     i * (this.dimensions.length / 2 + this.dimensions.wallThickness / 2)
                 ),
-                shape: topEndWallShape
+                shape: topEndWallShape,
+                material: this.wallMaterial
             });
             
             this.world.addBody(topEndWallBody);
+            
+            // Drivable inner face of the end wall, minus the goal mouth
+            this.addSurface(
+                i < 0 ? 'blueEndWall' : 'orangeEndWall',
+                new THREE.Vector3(0, 0, -i),
+                new THREE.Vector3(0, 0, i * this.dimensions.length / 2),
+                { halfWidth: goalWidth / 2, height: goalHeight }
+            );
         }
     }
     
     createGoals() {
-        const goalHeight = 60; // Increased from 45 to make goals taller
+        const goalHeight = this.goalDimensions.height;
         
         // Create blue goal (at negative Z)
         this.createGoal('blue', new THREE.Vector3(0, goalHeight / 2, -(this.dimensions.length / 2)));
@@ -269,75 +231,12 @@ export class Stadium {
     }
     
     createGoal(team, position) {
-        const goalWidth = 80; // Increased from 60 to make goals wider
-        const goalHeight = 60; // Increased from 45 to make goals taller
-        const goalDepth = 25; // Increased from 20 to make goals deeper
-        
-        // Goal color based on team
-        const goalColor = team === 'blue' ? 0x0066ff : 0xff6600;
-        
-        // Create goal frame
-        const goalMaterial = new THREE.MeshStandardMaterial({ 
-            color: goalColor,
-            roughness: 0.5,
-            metalness: 0.7
-        });
-        
-        // Create a group to hold all goal parts
-        const goalGroup = new THREE.Group();
-        goalGroup.position.copy(position);
-        
-        // Position the goal
+        const goalWidth = this.goalDimensions.width;
+        const goalHeight = this.goalDimensions.height;
+        const goalDepth = this.goalDimensions.depth;
         const zOffset = team === 'blue' ? -goalDepth / 2 : goalDepth / 2;
-        goalGroup.position.z += zOffset;
-        
-        // Create the 5 sides of the goal (leaving the front open)
-        const wallThickness = this.dimensions.wallThickness;
-        
-        // Bottom panel removed to make the goal flush with the playing field
-        
-        // 2. Top panel
-        const topGeometry = new THREE.BoxGeometry(goalWidth, wallThickness, goalDepth);
-        const topMesh = new THREE.Mesh(topGeometry, goalMaterial);
-        topMesh.position.y = goalHeight / 2 - wallThickness / 2;
-        topMesh.castShadow = true;
-        topMesh.receiveShadow = true;
-        goalGroup.add(topMesh);
-        
-        // 3. Left panel
-        const leftGeometry = new THREE.BoxGeometry(wallThickness, goalHeight, goalDepth);
-        const leftMesh = new THREE.Mesh(leftGeometry, goalMaterial);
-        leftMesh.position.x = -goalWidth / 2 + wallThickness / 2;
-        leftMesh.castShadow = true;
-        leftMesh.receiveShadow = true;
-        goalGroup.add(leftMesh);
-        
-        // 4. Right panel
-        const rightGeometry = new THREE.BoxGeometry(wallThickness, goalHeight, goalDepth);
-        const rightMesh = new THREE.Mesh(rightGeometry, goalMaterial);
-        rightMesh.position.x = goalWidth / 2 - wallThickness / 2;
-        rightMesh.castShadow = true;
-        rightMesh.receiveShadow = true;
-        goalGroup.add(rightMesh);
-        
-        // 5. Back panel
-        const backGeometry = new THREE.BoxGeometry(goalWidth, goalHeight, wallThickness);
-        const backMesh = new THREE.Mesh(backGeometry, goalMaterial);
-        const backPanelZOffset = team === 'blue' ? -goalDepth / 2 + wallThickness / 2 : goalDepth / 2 - wallThickness / 2;
-        backMesh.position.z = backPanelZOffset;
-        backMesh.castShadow = true;
-        backMesh.receiveShadow = true;
-        goalGroup.add(backMesh);
-        
-        // Add the goal group to the scene
-        this.scene.add(goalGroup);
-        
-        // Store the goal
-        this.goals[team] = goalGroup;
-        
-        // Add goal to physics world
-        // We'll create 5 bodies: bottom, top, back, left, right
         
+        // We'll create 4 bodies: top, back, left, right
         // Bottom panel physics removed to make the goal flush with the playing field
         
         // Top
@@ -354,7 +253,8 @@ export class Stadium {
                 position.y + goalHeight / 2 - this.dimensions.wallThickness / 2,
                 position.z + zOffset
             ),
-            shape: topShape
+            shape: topShape,
+            material: this.wallMaterial
         });
         
         this.world.addBody(topBody);
@@ -377,7 +277,8 @@ export class Stadium {
                 position.y,
                 position.z + backZOffset
             ),
-            shape: backShape
+            shape: backShape,
+            material: this.wallMaterial
         });
         
         this.world.addBody(backBody);
@@ -396,7 +297,8 @@ export class Stadium {
                 position.y,
                 position.z + zOffset
             ),
-            shape: leftShape
+            shape: leftShape,
+            material: this.wallMaterial
         });
         
         this.world.addBody(leftBody);
@@ -415,38 +317,14 @@ export class Stadium {
                 position.y,
                 position.z + zOffset
             ),
-            shape: rightShape
+            shape: rightShape,
+            material: this.wallMaterial
         });
         
         this.world.addBody(rightBody);
     }
     
     createCeiling() {
-        // Create ceiling geometry
-        const ceilingGeometry = new THREE.BoxGeometry(
-            this.dimensions.width, 
-            this.dimensions.wallThickness, 
-            this.dimensions.length
-        );
-        
-        // Create a gradient ceiling material
-        const ceilingMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x673ab7, // Deep purple
-            roughness: 0.6,
-            metalness: 0.3,
-            transparent: true,
-            opacity: 0.7
-        });
-        
-        // Create ceiling mesh
-        this.ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
-        this.ceiling.position.y = this.dimensions.height + this.dimensions.wallThickness / 2;
-        this.ceiling.receiveShadow = true;
-        this.scene.add(this.ceiling);
-        
-        // Add some colored spotlights for more visual interest
-        this.addColoredLights();
-        
         // Add ceiling to physics world
         const ceilingShape = new CANNON.Box(new CANNON.Vec3(
             this.dimensions.width / 2,
@@ -461,121 +339,51 @@ export class Stadium {
                 this.dimensions.height + this.dimensions.wallThickness / 2, 
                 0
             ),
-            shape: ceilingShape
+            shape: ceilingShape,
+            material: this.wallMaterial
         });
         
         this.world.addBody(ceilingBody);
+        
+        // Cars can drive upside down on the ceiling
+        this.addSurface(
+            'ceiling',
+            new THREE.Vector3(0, -1, 0),
+            new THREE.Vector3(0, this.dimensions.height, 0)
+        );
     }
     
-    createFieldMarkings() {
-        // Create field markings texture with higher resolution for better quality at distance
-        const canvas = document.createElement('canvas');
-        canvas.width = 2048; // Increased resolution
-        canvas.height = 2048; // Increased resolution
-        const context = canvas.getContext('2d');
-        
-        // Create a colorful gradient background
-        const gradient = context.createLinearGradient(0, 0, canvas.width, canvas.height);
-        gradient.addColorStop(0, '#1a237e');    // Deep blue
-        gradient.addColorStop(0.5, '#303f9f');  // Medium blue
-        gradient.addColorStop(1, '#3949ab');    // Light blue
-        
-        context.fillStyle = gradient;
-        context.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Calculate proper scaling factors based on stadium dimensions
-        const widthRatio = this.dimensions.width / this.dimensions.length;
-        const aspectRatio = canvas.width / canvas.height;
-        
-        // Add a grid pattern
-        context.strokeStyle = 'rgba(255, 255, 255, 0.3)'; // Slightly more visible
-        context.lineWidth = 4; // Thicker lines for better visibility at distance
-        
-        // Vertical grid lines - adjusted for proper spacing
-        const gridSize = canvas.width / 16; // Fewer, more visible grid lines
-        for (let x = 0; x <= canvas.width; x += gridSize) {
-            context.beginPath();
-            context.moveTo(x, 0);
-            context.lineTo(x, canvas.height);
-            context.stroke();
-        }
+    // Register a plane the cars can drive on
+    // The normal points into the arena; the opening (if any) is a hole around the goal
+    addSurface(name, normal, point, opening = null) {
+        this.surfaces.push({ name, normal, point, opening });
+    }
+    
+    getSurface(name) {
+        return this.surfaces.find(surface => surface.name === name) || null;
+    }
+    
+    // Signed distance from a surface (positive inside the arena)
+    getSurfaceDistance(surface, position) {
+        return surface.normal.dot(position.clone().sub(surface.point));
+    }
+    
+    // Check if a car at this position is on a solid part of the surface
+    isSurfaceDrivable(surface, position) {
+        if (!surface.opening) return true;
         
-        // Horizontal grid lines - adjusted for proper spacing
-        for (let y = 0; y <= canvas.height; y += gridSize) {
-            context.beginPath();
-            context.moveTo(0, y);
-            context.lineTo(canvas.width, y);
-            context.stroke();
-        }
+        const insideOpening =
+            Math.abs(position.x) < surface.opening.halfWidth &&
+            position.y < surface.opening.height;
         
-        // Draw center circle - properly centered
-        context.strokeStyle = '#ffffff';
-        context.lineWidth = 10; // Thicker for better visibility
-        context.beginPath();
-        context.arc(canvas.width / 2, canvas.height / 2, canvas.width / 8, 0, Math.PI * 2);
-        context.stroke();
-        
-        // Fill center circle with semi-transparent white
-        context.fillStyle = 'rgba(255, 255, 255, 0.15)'; // Slightly more visible
-        context.fill();
-        
-        // Draw center line
-        context.beginPath();
-        context.moveTo(0, canvas.height / 2);
-        context.lineTo(canvas.width, canvas.height / 2);
-        context.stroke();
-        
-        // Draw goal area circles on both ends - properly positioned
-        const goalCircleRadius = canvas.width / 10;
-        const goalCircleDistanceFromCenter = canvas.height * 0.4; // Positioned at 40% from center
-        
-        // Blue goal area circle
-        context.beginPath();
-        context.arc(canvas.width / 2, canvas.height / 2 - goalCircleDistanceFromCenter, 
-                   goalCircleRadius, 0, Math.PI * 2);
-        context.stroke();
-        context.fillStyle = 'rgba(25, 118, 210, 0.15)'; // Semi-transparent blue
-        context.fill();
-        
-        // Orange goal area circle
-        context.beginPath();
-        context.arc(canvas.width / 2, canvas.height / 2 + goalCircleDistanceFromCenter, 
-                   goalCircleRadius, 0, Math.PI * 2);
-        context.stroke();
-        context.fillStyle = 'rgba(245, 124, 0, 0.15)'; // Semi-transparent orange
-        context.fill();
-        
-        // Create texture from canvas
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.wrapS = THREE.RepeatWrapping;
-        texture.wrapT = THREE.RepeatWrapping;
-        
-        // Calculate proper repeat values based on stadium dimensions
-        // The repeat values control how many times the texture repeats across the floor
-        // We want to ensure the texture covers the floor exactly once in each dimension
-        const repeatX = widthRatio; // Match the width ratio of the stadium
-        const repeatY = 1; // One repeat along the length
-        texture.repeat.set(repeatX, repeatY);
-        
-        // Enable mipmapping and anisotropic filtering for better quality at distance
-        texture.generateMipmaps = true;
-        texture.minFilter = THREE.LinearMipmapLinearFilter;
-        texture.anisotropy = 16; // Higher value for sharper textures at angles
-        
-        // Apply texture to floor with improved material settings
-        this.floor.material = new THREE.MeshStandardMaterial({
-            map: texture,
-            roughness: 0.7,
-            metalness: 0.2,
-            side: THREE.DoubleSide // Render both sides to avoid any potential rendering issues
-        });
+        return !insideOpening;
     }
     
     // Check if ball is in a goal and return the team that scored
     checkGoal(ballPosition) {
-        const goalWidth = 80; // Increased from 60 to make goals wider
-        const goalHeight = 60; // Increased from 45 to make goals taller
-        const goalDepth = 25; // Increased from 20 to make goals deeper
+        const goalWidth = this.goalDimensions.width;
+        const goalHeight = this.goalDimensions.height;
+        const goalDepth = this.goalDimensions.depth;
         
         // Check blue goal (negative Z)
         if (
@@ -602,50 +410,64 @@ export class Stadium {
         return null; // No goal
     }
     
-    addColoredLights() {
-        // Add colored spotlights around the stadium for visual interest
-        const spotlightColors = [
-            0xff1744, // Red
-            0x2979ff, // Blue
-            0x00e676, // Green
-            0xffea00, // Yellow
-            0xd500f9  // Purple
-        ];
-        
-        // Create spotlights at various positions - scaled up for larger arena
-        const spotlightPositions = [
-            { x: -120, y: 60, z: -150 },
-            { x: 120, y: 60, z: -150 },
-            { x: -120, y: 60, z: 150 },
-            { x: 120, y: 60, z: 150 },
-            { x: 0, y: 60, z: 0 }
-        ];
-        
-        spotlightPositions.forEach((pos, index) => {
-            const color = spotlightColors[index % spotlightColors.length];
+    createBoostPads() {
+        this.boostPadLayout.forEach(layout => {
+            const isLarge = !!layout.large;
             
-            // Create spotlight
-            const spotlight = new THREE.SpotLight(color, 0.8);
-            spotlight.position.set(pos.x, pos.y, pos.z);
-            spotlight.target.position.set(0, 0, 0);
-            spotlight.angle = Math.PI / 6;
-            spotlight.penumbra = 0.3;
-            spotlight.decay = 1;
-            spotlight.distance = 500; // Increased from 300 for larger arena
-            spotlight.castShadow = true;
+            this.boostPads.push({
+                position: new THREE.Vector3(layout.x, 0, layout.z),
+                isLarge: isLarge,
+                radius: isLarge ? 10 : 6,
+                amount: isLarge ? this.largePadBoost : this.smallPadBoost,
+                respawnTime: isLarge ? this.largePadRespawnTime : this.smallPadRespawnTime,
+                cooldown: 0
+            });
+        });
+    }
+    
+    // Give boost to a car driving over an active pad
+    // Returns true if the car picked the pad up
+    checkBoostPickup(car) {
+        if (car.isDemolished) return false;
+        
+        for (const pad of this.boostPads) {
+            if (pad.cooldown > 0) continue;
             
-            // Configure shadow properties
-            spotlight.shadow.mapSize.width = 1024;
-            spotlight.shadow.mapSize.height = 1024;
-            spotlight.shadow.camera.near = 10;
-            spotlight.shadow.camera.far = 500; // Increased from 300 for larger arena
+            // Horizontal distance to the pad, and close enough to the floor
+            const dx = car.position.x - pad.position.x;
+            const dz = car.position.z - pad.position.z;
+            if (dx * dx + dz * dz > pad.radius * pad.radius) continue;
+            if (car.position.y - pad.position.y > this.padPickupHeight) continue;
             
-            this.scene.add(spotlight);
-            this.scene.add(spotlight.target);
+            // Full tanks leave the pad for someone else
+            if (car.addBoost(pad.amount)) {
+                this.setBoostPadCooldown(pad, pad.respawnTime);
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    // Put a pad on cooldown (0 makes it active again)
+    setBoostPadCooldown(pad, cooldown) {
+        pad.cooldown = Math.max(0, cooldown);
+    }
+    
+    // Make every pad available again (at kickoff)
+    resetBoostPads() {
+        this.boostPads.forEach(pad => this.setBoostPadCooldown(pad, 0));
+    }
+    
+    updateBoostPads(deltaTime) {
+        this.boostPads.forEach(pad => {
+            if (pad.cooldown > 0) {
+                this.setBoostPadCooldown(pad, pad.cooldown - deltaTime);
+            }
         });
     }
     
-    update() {
-        // Any stadium animations or updates can go here
+    update(deltaTime) {
+        this.updateBoostPads(deltaTime);
     }
 }
@@ -0,0 +1,480 @@
+/**
+ * StadiumView class for drawing the arena, goals, field markings and boost pads
+ */
+import * as THREE from 'three';
+
+export class StadiumView {
+    constructor(scene, stadium) {
+        this.scene = scene;
+        this.stadium = stadium; // Simulated stadium to draw
+        this.floor = null;
+        this.ceiling = null;
+        this.walls = [];
+        this.goals = {
+            blue: null,
+            orange: null
+        };
+        this.padMeshes = []; // { base, orb } for each of the stadium's boost pads
+        
+        this.createStadium();
+    }
+    
+    createStadium() {
+        // Create the floor
+        this.createFloor();
+        
+        // Create the walls
+        this.createWalls();
+        
+        // Create the goals
+        this.createGoals();
+        
+        // Add ceiling
+        this.createCeiling();
+        
+        // Add field markings
+        this.createFieldMarkings();
+        
+        // Add boost pads
+        this.createBoostPads();
+    }
+    
+    createFloor() {
+        const dimensions = this.stadium.dimensions;
+        
+        // Create floor geometry
+        const floorGeometry = new THREE.BoxGeometry(
+            dimensions.width, 
+            dimensions.wallThickness, 
+            dimensions.length
+        );
+        
+        // Create floor material
+        const floorMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x222222,
+            roughness: 0.8
+        });
+        
+        // Create floor mesh
+        this.floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        this.floor.position.y = -dimensions.wallThickness / 2;
+        this.floor.receiveShadow = true;
+        this.scene.add(this.floor);
+    }
+    
+    createWalls() {
+        const dimensions = this.stadium.dimensions;
+        
+        // Create gradient wall materials
+        const blueWallMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x1976d2,
+            roughness: 0.6,
+            metalness: 0.2
+        });
+        
+        const orangeWallMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0xf57c00,
+            roughness: 0.6,
+            metalness: 0.2
+        });
+        
+        // Side walls (along Z-axis)
+        for (let i = -1; i <= 1; i += 2) {
+            const sideWallGeometry = new THREE.BoxGeometry(
+                dimensions.wallThickness,
+                dimensions.height,
+                dimensions.length
+            );
+            
+            // Use blue for left wall, orange for right wall
+            const wallMaterial = i < 0 ? blueWallMaterial : orangeWallMaterial;
+            
+            const sideWall = new THREE.Mesh(sideWallGeometry, wallMaterial);
+            sideWall.position.set(
+                i * (dimensions.width / 2 + dimensions.wallThickness / 2),
+                dimensions.height / 2,
+                0
+            );
+            sideWall.castShadow = true;
+            sideWall.receiveShadow = true;
+            this.scene.add(sideWall);
+            this.walls.push(sideWall);
+        }
+        
+        // End walls (along X-axis, excluding goal areas)
+        const goalWidth = this.stadium.goalDimensions.width;
+        const goalHeight = this.stadium.goalDimensions.height;
+        
+        for (let i = -1; i <= 1; i += 2) {
+            // Choose material based on which end (blue or orange)
+            const endWallMaterial = i < 0 ? blueWallMaterial : orangeWallMaterial;
+            
+            // Left section of end wall
+            const leftEndWallGeometry = new THREE.BoxGeometry(
+                (dimensions.width - goalWidth) / 2,
+                dimensions.height,
+                dimensions.wallThickness
+            );
+            
+            const leftEndWall = new THREE.Mesh(leftEndWallGeometry, endWallMaterial);
+            leftEndWall.position.set(
+                -(dimensions.width + goalWidth) / 4,
+                dimensions.height / 2,
+                i * (dimensions.length / 2 + dimensions.wallThickness / 2)
+            );
+            leftEndWall.castShadow = true;
+            leftEndWall.receiveShadow = true;
+            this.scene.add(leftEndWall);
+            this.walls.push(leftEndWall);
+            
+            // Right section of end wall
+            const rightEndWallGeometry = new THREE.BoxGeometry(
+                (dimensions.width - goalWidth) / 2,
+                dimensions.height,
+                dimensions.wallThickness
+            );
+            
+            const rightEndWall = new THREE.Mesh(rightEndWallGeometry, endWallMaterial);
+            rightEndWall.position.set(
+                (dimensions.width + goalWidth) / 4,
+                dimensions.height / 2,
+                i * (dimensions.length / 2 + dimensions.wallThickness / 2)
+            );
+            rightEndWall.castShadow = true;
+            rightEndWall.receiveShadow = true;
+            this.scene.add(rightEndWall);
+            this.walls.push(rightEndWall);
+            
+            // Top section of end wall (above goal)
+            const topEndWallGeometry = new THREE.BoxGeometry(
+                goalWidth,
+                dimensions.height - goalHeight,
+                dimensions.wallThickness
+            );
+            
+            const topEndWall = new THREE.Mesh(topEndWallGeometry, endWallMaterial);
+            topEndWall.position.set(
+                0,
+                goalHeight + (dimensions.height - goalHeight) / 2,
+                i * (dimensions.length / 2 + dimensions.wallThickness / 2)
+            );
+            topEndWall.castShadow = true;
+            topEndWall.receiveShadow = true;
+            this.scene.add(topEndWall);
+            this.walls.push(topEndWall);
+        }
+    }
+    
+    createGoals() {
+        const goalHeight = this.stadium.goalDimensions.height;
+        const length = this.stadium.dimensions.length;
+        
+        // Create blue goal (at negative Z)
+        this.createGoal('blue', new THREE.Vector3(0, goalHeight / 2, -(length / 2)));
+        
+        // Create orange goal (at positive Z)
+        this.createGoal('orange', new THREE.Vector3(0, goalHeight / 2, length / 2));
+    }
+    
+    createGoal(team, position) {
+        const { width: goalWidth, height: goalHeight, depth: goalDepth } = this.stadium.goalDimensions;
+        
+        // Goal color based on team
+        const goalColor = team === 'blue' ? 0x0066ff : 0xff6600;
+        
+        // Create goal frame
+        const goalMaterial = new THREE.MeshStandardMaterial({ 
+            color: goalColor,
+            roughness: 0.5,
+            metalness: 0.7
+        });
+        
+        // Create a group to hold all goal parts
+        const goalGroup = new THREE.Group();
+        goalGroup.position.copy(position);
+        
+        // Position the goal
+        const zOffset = team === 'blue' ? -goalDepth / 2 : goalDepth / 2;
+        goalGroup.position.z += zOffset;
+        
+        // Create the 5 sides of the goal (leaving the front open)
+        const wallThickness = this.stadium.dimensions.wallThickness;
+        
+        // Bottom panel removed to make the goal flush with the playing field
+        
+        // 2. Top panel
+        const topGeometry = new THREE.BoxGeometry(goalWidth, wallThickness, goalDepth);
+        const topMesh = new THREE.Mesh(topGeometry, goalMaterial);
+        topMesh.position.y = goalHeight / 2 - wallThickness / 2;
+        topMesh.castShadow = true;
+        topMesh.receiveShadow = true;
+        goalGroup.add(topMesh);
+        
+        // 3. Left panel
+        const leftGeometry = new THREE.BoxGeometry(wallThickness, goalHeight, goalDepth);
+        const leftMesh = new THREE.Mesh(leftGeometry, goalMaterial);
+        leftMesh.position.x = -goalWidth / 2 + wallThickness / 2;
+        leftMesh.castShadow = true;
+        leftMesh.receiveShadow = true;
+        goalGroup.add(leftMesh);
+        
+        // 4. Right panel
+        const rightGeometry = new THREE.BoxGeometry(wallThickness, goalHeight, goalDepth);
+        const rightMesh = new THREE.Mesh(rightGeometry, goalMaterial);
+        rightMesh.position.x = goalWidth / 2 - wallThickness / 2;
+        rightMesh.castShadow = true;
+        rightMesh.receiveShadow = true;
+        goalGroup.add(rightMesh);
+        
+        // 5. Back panel
+        const backGeometry = new THREE.BoxGeometry(goalWidth, goalHeight, wallThickness);
+        const backMesh = new THREE.Mesh(backGeometry, goalMaterial);
+        const backPanelZOffset = team === 'blue' ? -goalDepth / 2 + wallThickness / 2 : goalDepth / 2 - wallThickness / 2;
+        backMesh.position.z = backPanelZOffset;
+        backMesh.castShadow = true;
+        backMesh.receiveShadow = true;
+        goalGroup.add(backMesh);
+        
+        // Add the goal group to the scene
+        this.scene.add(goalGroup);
+        
+        // Store the goal
+        this.goals[team] = goalGroup;
+    }
+    
+    createCeiling() {
+        const dimensions = this.stadium.dimensions;
+        
+        // Create ceiling geometry
+        const ceilingGeometry = new THREE.BoxGeometry(
+            dimensions.width, 
+            dimensions.wallThickness, 
+            dimensions.length
+        );
+        
+        // Create a gradient ceiling material
+        const ceilingMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x673ab7, // Deep purple
+            roughness: 0.6,
+            metalness: 0.3,
+            transparent: true,
+            opacity: 0.7
+        });
+        
+        // Create ceiling mesh
+        this.ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
+        this.ceiling.position.y = dimensions.height + dimensions.wallThickness / 2;
+        this.ceiling.receiveShadow = true;
+        this.scene.add(this.ceiling);
+        
+        // Add some colored spotlights for more visual interest
+        this.addColoredLights();
+    }
+    
+    createFieldMarkings() {
+        // Create field markings texture with higher resolution for better quality at distance
+        const canvas = document.createElement('canvas');
+        canvas.width = 2048; // Increased resolution
+        canvas.height = 2048; // Increased resolution
+        const context = canvas.getContext('2d');
+        
+        // Create a colorful gradient background
+        const gradient = context.createLinearGradient(0, 0, canvas.width, canvas.height);
+        gradient.addColorStop(0, '#1a237e');    // Deep blue
+        gradient.addColorStop(0.5, '#303f9f');  // Medium blue
+        gradient.addColorStop(1, '#3949ab');    // Light blue
+        
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        
+        // Calculate proper scaling factors based on stadium dimensions
+        const widthRatio = this.stadium.dimensions.width / this.stadium.dimensions.length;
+        const aspectRatio = canvas.width / canvas.height;
+        
+        // Add a grid pattern
+        context.strokeStyle = 'rgba(255, 255, 255, 0.3)'; // Slightly more visible
+        context.lineWidth = 4; // Thicker lines for better visibility at distance
+        
+        // Vertical grid lines - adjusted for proper spacing
+        const gridSize = canvas.width / 16; // Fewer, more visible grid lines
+        for (let x = 0; x <= canvas.width; x += gridSize) {
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, canvas.height);
+            context.stroke();
+        }
+        
+        // Horizontal grid lines - adjusted for proper spacing
+        for (let y = 0; y <= canvas.height; y += gridSize) {
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(canvas.width, y);
+            context.stroke();
+        }
+        
+        // Draw center circle - properly centered
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 10; // Thicker for better visibility
+        context.beginPath();
+        context.arc(canvas.width / 2, canvas.height / 2, canvas.width / 8, 0, Math.PI * 2);
+        context.stroke();
+        
+        // Fill center circle with semi-transparent white
+        context.fillStyle = 'rgba(255, 255, 255, 0.15)'; // Slightly more visible
+        context.fill();
+        
+        // Draw center line
+        context.beginPath();
+        context.moveTo(0, canvas.height / 2);
+        context.lineTo(canvas.width, canvas.height / 2);
+        context.stroke();
+        
+        // Draw goal area circles on both ends - properly positioned
+        const goalCircleRadius = canvas.width / 10;
+        const goalCircleDistanceFromCenter = canvas.height * 0.4; // Positioned at 40% from center
+        
+        // Blue goal area circle
+        context.beginPath();
+        context.arc(canvas.width / 2, canvas.height / 2 - goalCircleDistanceFromCenter, 
+                   goalCircleRadius, 0, Math.PI * 2);
+        context.stroke();
+        context.fillStyle = 'rgba(25, 118, 210, 0.15)'; // Semi-transparent blue
+        context.fill();
+        
+        // Orange goal area circle
+        context.beginPath();
+        context.arc(canvas.width / 2, canvas.height / 2 + goalCircleDistanceFromCenter, 
+                   goalCircleRadius, 0, Math.PI * 2);
+        context.stroke();
+        context.fillStyle = 'rgba(245, 124, 0, 0.15)'; // Semi-transparent orange
+        context.fill();
+        
+        // Create texture from canvas
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        
+        // Calculate proper repeat values based on stadium dimensions
+        // The repeat values control how many times the texture repeats across the floor
+        // We want to ensure the texture covers the floor exactly once in each dimension
+        const repeatX = widthRatio; // Match the width ratio of the stadium
+        const repeatY = 1; // One repeat along the length
+        texture.repeat.set(repeatX, repeatY);
+        
+        // Enable mipmapping and anisotropic filtering for better quality at distance
+        texture.generateMipmaps = true;
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.anisotropy = 16; // Higher value for sharper textures at angles
+        
+        // Apply texture to floor with improved material settings
+        this.floor.material = new THREE.MeshStandardMaterial({
+            map: texture,
+            roughness: 0.7,
+            metalness: 0.2,
+            side: THREE.DoubleSide // Render both sides to avoid any potential rendering issues
+        });
+    }
+    
+    createBoostPads() {
+        this.stadium.boostPads.forEach(pad => {
+            // Glowing base disc
+            const baseMaterial = new THREE.MeshStandardMaterial({
+                color: 0xffaa00,
+                emissive: 0xff8800,
+                emissiveIntensity: 0.8,
+                roughness: 0.4,
+                metalness: 0.6
+            });
+            
+            const base = new THREE.Mesh(
+                new THREE.CylinderGeometry(pad.radius, pad.radius, 0.4, 24),
+                baseMaterial
+            );
+            base.position.set(pad.position.x, 0.2, pad.position.z);
+            base.receiveShadow = true;
+            this.scene.add(base);
+            
+            // Floating orb for large pads, a flat glowing disc for small ones
+            const orbMaterial = new THREE.MeshStandardMaterial({
+                color: 0xffdd33,
+                emissive: 0xffaa00,
+                emissiveIntensity: 1.5,
+                transparent: true,
+                opacity: 0.9
+            });
+            
+            const orb = pad.isLarge
+                ? new THREE.Mesh(new THREE.SphereGeometry(3, 16, 16), orbMaterial)
+                : new THREE.Mesh(new THREE.CylinderGeometry(pad.radius * 0.6, pad.radius * 0.6, 0.6, 16), orbMaterial);
+            orb.position.set(pad.position.x, pad.isLarge ? 5 : 0.6, pad.position.z);
+            this.scene.add(orb);
+            
+            this.padMeshes.push({ base, orb });
+        });
+    }
+    
+    updateBoostPads(deltaTime) {
+        this.stadium.boostPads.forEach((pad, index) => {
+            const { base, orb } = this.padMeshes[index];
+            
+            // Spent pads lose their orb and dim their base
+            const isActive = pad.cooldown <= 0;
+            orb.visible = isActive;
+            base.material.emissiveIntensity = isActive ? 0.8 : 0.1;
+            base.material.color.set(isActive ? 0xffaa00 : 0x444444);
+            
+            // Spin the large orbs so they stand out
+            if (isActive && pad.isLarge) {
+                orb.rotation.y += deltaTime * 2;
+            }
+        });
+    }
+    
+    addColoredLights() {
+        // Add colored spotlights around the stadium for visual interest
+        const spotlightColors = [
+            0xff1744, // Red
+            0x2979ff, // Blue
+            0x00e676, // Green
+            0xffea00, // Yellow
+            0xd500f9  // Purple
+        ];
+        
+        // Create spotlights at various positions - scaled up for larger arena
+        const spotlightPositions = [
+            { x: -120, y: 60, z: -150 },
+            { x: 120, y: 60, z: -150 },
+            { x: -120, y: 60, z: 150 },
+            { x: 120, y: 60, z: 150 },
+            { x: 0, y: 60, z: 0 }
+        ];
+        
+        spotlightPositions.forEach((pos, index) => {
+            const color = spotlightColors[index % spotlightColors.length];
+            
+            // Create spotlight
+            const spotlight = new THREE.SpotLight(color, 0.8);
+            spotlight.position.set(pos.x, pos.y, pos.z);
+            spotlight.target.position.set(0, 0, 0);
+            spotlight.angle = Math.PI / 6;
+            spotlight.penumbra = 0.3;
+            spotlight.decay = 1;
+            spotlight.distance = 500; // Increased from 300 for larger arena
+            spotlight.castShadow = true;
+            
+            // Configure shadow properties
+            spotlight.shadow.mapSize.width = 1024;
+            spotlight.shadow.mapSize.height = 1024;
+            spotlight.shadow.camera.near = 10;
+            spotlight.shadow.camera.far = 500; // Increased from 300 for larger arena
+            
+            this.scene.add(spotlight);
+            this.scene.add(spotlight.target);
+        });
+    }
+    
+    update(deltaTime) {
+        // Any stadium animations or updates can go here
+        this.updateBoostPads(deltaTime);
+    }
+}
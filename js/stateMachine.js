@@ -0,0 +1,126 @@
+/**
+ * StateMachine class for flows made of named states with defined transitions
+ * Timers run on the clock passed to update(), never on wall-clock time
+ *
+ * Each state is { to: [names it may change to], enter(data), exit(), update(deltaTime) }
+ * (all hooks optional). States can be pushed on top of the current one (e.g. paused);
+ * the state underneath keeps its timers and is resumed by pop() without re-entering it.
+ */
+
+export class StateMachine {
+    constructor(states, initialState, onChange = null) {
+        this.states = states;
+        this.stack = []; // Active states, only the top one updates
+        this.onChange = onChange; // Called with (from, to) after every change
+        
+        this.enter(initialState);
+    }
+    
+    get current() {
+        return this.top.name;
+    }
+    
+    get top() {
+        return this.stack[this.stack.length - 1];
+    }
+    
+    // Seconds spent in the current state
+    get timeInState() {
+        return this.top.time;
+    }
+    
+    // Check the current (top) state
+    is(name) {
+        return this.current === name;
+    }
+    
+    // Check any active state, including ones suspended under a pushed state
+    isActive(name) {
+        return this.stack.some(entry => entry.name === name);
+    }
+    
+    canTransition(name) {
+        const allowed = this.states[this.current].to || [];
+        return allowed.includes(name);
+    }
+    
+    // Leave every active state and enter a new one
+    transition(name, data) {
+        const from = this.current;
+        this.checkTransition(name);
+        
+        while (this.stack.length > 0) {
+            this.exitTop();
+        }
+        this.enter(name, data);
+        
+        if (this.onChange) this.onChange(from, name);
+    }
+    
+    // Enter a state on top of the current one, which is suspended (not exited)
+    push(name, data) {
+        const from = this.current;
+        this.checkTransition(name);
+        
+        this.enter(name, data);
+        
+        if (this.onChange) this.onChange(from, name);
+    }
+    
+    // Leave a pushed state and resume the one underneath
+    pop() {
+        if (this.stack.length < 2) {
+            throw new Error(`Cannot pop state '${this.current}': nothing to resume`);
+        }
+        
+        const from = this.current;
+        this.exitTop();
+        
+        if (this.onChange) this.onChange(from, this.current);
+    }
+    
+    // Run a callback after some seconds in the current state (dropped if the state is left first)
+    after(seconds, callback) {
+        this.top.timers.push({ time: this.top.time + seconds, callback });
+    }
+    
+    update(deltaTime) {
+        const entry = this.top;
+        const state = this.states[entry.name];
+        entry.time += deltaTime;
+        
+        if (state.update) state.update(deltaTime);
+        
+        // Fire due timers in order, stopping if one of them leaves the state
+        // (a small tolerance keeps whole-second timers from slipping a tick to rounding)
+        entry.timers.sort((a, b) => a.time - b.time);
+        while (entry.isActive && entry.timers.length > 0 && entry.timers[0].time <= entry.time + 1e-9) {
+            entry.timers.shift().callback();
+        }
+    }
+    
+    checkTransition(name) {
+        if (!this.states[name]) {
+            throw new Error(`Unknown state '${name}'`);
+        }
+        if (!this.canTransition(name)) {
+            throw new Error(`Invalid state transition: '${this.current}' -> '${name}'`);
+        }
+    }
+    
+    enter(name, data) {
+        const entry = { name, time: 0, timers: [], isActive: true };
+        this.stack.push(entry);
+        
+        const state = this.states[name];
+        if (state.enter) state.enter(data);
+    }
+    
+    exitTop() {
+        const entry = this.stack.pop();
+        entry.isActive = false;
+        
+        const state = this.states[entry.name];
+        if (state.exit) state.exit();
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * TrainingMenu class for the training screen: builds a training pack, saves and opens pack files,
+ * starts the runner, and edits one shot at a time in a side panel while the match holds still
+ * The pack being worked on is kept in localStorage between visits
+ */
+import { TrainingPack, captureShot } from './trainingPack.js';
+
+const STORAGE_KEY = 'rocket-league-clone.trainingPack';
+
+// Fields of the shot editor, by path into the shot
+const SHOT_FIELDS = [
+    { label: 'Name', path: ['name'], type: 'text' },
+    { label: 'Ball position', path: ['ball', 'position'], type: 'vector', step: 1 },
+    { label: 'Ball velocity', path: ['ball', 'velocity'], type: 'vector', step: 1 },
+    { label: 'Ball spin', path: ['ball', 'spin'], type: 'vector', step: 0.5 },
+    { label: 'Car position', path: ['car', 'position'], type: 'vector', step: 1 },
+    { label: 'Car heading (degrees)', path: ['car', 'heading'], type: 'number', step: 5 },
+    { label: 'Car boost', path: ['car', 'boost'], type: 'number', step: 1, min: 0, max: 100 },
+    { label: 'Time limit (seconds)', path: ['timeLimit'], type: 'number', step: 1, min: 1, max: 60 }
+];
+
+export class TrainingMenu {
+    constructor(match, onClose = null) {
+        this.match = match;
+        this.onClose = onClose;
+        this.pack = new TrainingPack();
+        this.isOpen = false;
+        this.editingIndex = null; // Shot open in the editor
+        
+        // UI elements
+        this.element = document.getElementById('training-menu');
+        this.nameElement = document.getElementById('training-pack-name');
+        this.descriptionElement = document.getElementById('training-pack-description');
+        this.shotsElement = document.getElementById('training-shots');
+        this.statusElement = document.getElementById('training-status');
+        this.editorElement = document.getElementById('shot-editor');
+        this.editorTitleElement = document.getElementById('shot-editor-title');
+        this.editorFieldsElement = document.getElementById('shot-editor-fields');
+        this.fileInput = document.getElementById('training-file-input');
+        
+        this.setupControls();
+        this.load();
+    }
+    
+    get isEditing() {
+        return this.editingIndex !== null;
+    }
+    
+    setupControls() {
+        this.nameElement.addEventListener('input', () => {
+            this.pack.name = this.nameElement.value;
+            this.save();
+        });
+        this.descriptionElement.addEventListener('input', () => {
+            this.pack.description = this.descriptionElement.value;
+            this.save();
+        });
+        
+        this.addButtonListener('training-add-button', () => this.addShot());
+        this.addButtonListener('training-start-button', () => this.startTraining(0));
+        this.addButtonListener('training-new-button', () => {
+            this.pack = new TrainingPack();
+            this.changedShots();
+            this.setStatus('Started a new pack');
+        });
+        this.addButtonListener('training-open-button', () => this.fileInput.click());
+        this.addButtonListener('training-save-button', () => this.download());
+        this.addButtonListener('training-close-button', () => this.close());
+        this.addButtonListener('shot-editor-test-button', () => this.startTraining(this.editingIndex));
+        this.addButtonListener('shot-editor-done-button', () => this.finishEditing());
+        
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) {
+                this.openFile(this.fileInput.files[0]);
+            }
+            this.fileInput.value = ''; // Picking the same file again still opens it
+        });
+    }
+    
+    addButtonListener(id, action) {
+        const button = document.getElementById(id);
+        button.addEventListener('click', () => {
+            // Don't leave focus on the button, or the next key would press it again
+            button.blur();
+            action();
+        });
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.element.classList.add('visible');
+        this.render();
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.element.classList.remove('visible');
+        if (this.onClose) this.onClose();
+    }
+    
+    async openFile(file) {
+        try {
+            this.pack = await TrainingPack.fromBlob(file);
+        } catch (error) {
+            console.warn('Could not open training pack:', error);
+            this.setStatus(`Could not open ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        this.changedShots();
+        this.setStatus(`Opened ${this.pack.name} (${this.pack.shots.length} shots)`);
+    }
+    
+    download() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(this.pack.toBlob());
+        link.download = `${this.pack.name.trim().replace(/[^\w-]+/g, '-') || 'training-pack'}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    
+    // New shot from where the car and ball are now
+    addShot() {
+        const match = this.match;
+        this.pack.addShot(captureShot(match.playerCar, match.ball));
+        this.changedShots();
+        this.setStatus(`Added shot ${this.pack.shots.length} from the car and ball as they are`);
+    }
+    
+    // Results no longer line up with the shots once they are added, removed or reordered
+    changedShots() {
+        this.match.training.results = [];
+        this.save();
+        this.render();
+    }
+    
+    startTraining(shotIndex) {
+        if (this.pack.shots.length === 0) {
+            this.setStatus('Add a shot first');
+            return;
+        }
+        
+        this.hideEditor();
+        this.isOpen = false;
+        this.element.classList.remove('visible');
+        this.match.startTraining(this.pack, shotIndex ?? 0);
+        if (this.onClose) this.onClose();
+    }
+    
+    render() {
+        this.nameElement.value = this.pack.name;
+        this.descriptionElement.value = this.pack.description;
+        
+        const results = this.match.training.results;
+        this.shotsElement.innerHTML = '';
+        if (this.pack.shots.length === 0) {
+            this.shotsElement.textContent = 'No shots yet: drive to where a shot should start and add it';
+        }
+        
+        this.pack.shots.forEach((shot, index) => {
+            const row = document.createElement('div');
+            row.className = 'training-shot';
+            
+            const label = document.createElement('span');
+            label.className = 'training-shot-label';
+            const result = results[index];
+            const score = result && result.attempts > 0 ? ` · ${result.goals}/${result.attempts} scored` : '';
+            label.textContent = `${index + 1}. ${shot.name || `Shot ${index + 1}`} · ${shot.timeLimit} s${score}`;
+            row.appendChild(label);
+            
+            row.appendChild(this.createButton('Play', () => this.startTraining(index)));
+            row.appendChild(this.createButton('Edit', () => this.editShot(index)));
+            row.appendChild(this.createButton('Up', () => {
+                this.pack.moveShot(index, -1);
+                this.changedShots();
+            }));
+            row.appendChild(this.createButton('Down', () => {
+                this.pack.moveShot(index, 1);
+                this.changedShots();
+            }));
+            row.appendChild(this.createButton('Delete', () => {
+                this.pack.removeShot(index);
+                this.changedShots();
+            }));
+            
+            this.shotsElement.appendChild(row);
+        });
+    }
+    
+    createButton(text, action) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', () => {
+            button.blur();
+            action();
+        });
+        return button;
+    }
+    
+    // Open the side panel on a shot, shown frozen in the stadium
+    editShot(index) {
+        this.editingIndex = index;
+        this.isOpen = false;
+        this.element.classList.remove('visible');
+        
+        const shot = this.pack.shots[index];
+        this.match.editShot(shot);
+        
+        this.editorTitleElement.textContent = `Shot ${index + 1}`;
+        this.editorFieldsElement.innerHTML = '';
+        SHOT_FIELDS.forEach(field => this.editorFieldsElement.appendChild(this.createField(shot, field)));
+        this.editorElement.classList.add('visible');
+    }
+    
+    createField(shot, { label, path, type, step, min, max }) {
+        const row = document.createElement('label');
+        row.className = 'shot-field';
+        row.appendChild(document.createTextNode(label));
+        
+        const parent = path.slice(0, -1).reduce((object, key) => object[key], shot);
+        const key = path[path.length - 1];
+        
+        const createInput = (value, onChange) => {
+            const input = document.createElement('input');
+            input.type = type === 'text' ? 'text' : 'number';
+            input.value = value;
+            if (step !== undefined) input.step = step;
+            if (min !== undefined) input.min = min;
+            if (max !== undefined) input.max = max;
+            input.addEventListener('input', () => {
+                if (type === 'text') {
+                    onChange(input.value);
+                } else if (input.value !== '' && Number.isFinite(Number(input.value))) {
+                    const number = Number(input.value);
+                    onChange(Math.min(max ?? Infinity, Math.max(min ?? -Infinity, number)));
+                }
+                this.save();
+                this.match.editShot(shot);
+            });
+            row.appendChild(input);
+        };
+        
+        if (type === 'vector') {
+            parent[key].forEach((value, axis) => createInput(value, number => {
+                parent[key][axis] = number;
+            }));
+        } else {
+            createInput(parent[key], value => {
+                parent[key] = value;
+            });
+        }
+        
+        return row;
+    }
+    
+    hideEditor() {
+        this.editingIndex = null;
+        this.editorElement.classList.remove('visible');
+    }
+    
+    // Back from the editor to the list, and to free play
+    finishEditing() {
+        this.hideEditor();
+        this.match.stopTraining();
+        this.open();
+    }
+    
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    }
+    
+    handleKeyDown(event) {
+        if (event.code === 'Escape') {
+            event.preventDefault();
+            if (this.isEditing) {
+                this.finishEditing();
+            } else {
+                this.close();
+            }
+        }
+        // Other keys are left to the text and number fields
+    }
+    
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            console.warn('Could not load the saved training pack');
+        }
+        if (!saved) return;
+        
+        try {
+            this.pack = TrainingPack.fromJSON(saved);
+        } catch (error) {
+            console.warn('Saved training pack is invalid, starting a new one:', error);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.pack));
+        } catch (e) {
+            console.warn('Could not save the training pack');
+        }
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * TrainingPack class for custom training: an ordered list of shots, saved and shared as JSON
+ *
+ * {
+ *   "format": "rocket-league-clone-training", "version": 1,
+ *   "name": "Weekly aerials", "description": "...",
+ *   "shots": [{
+ *     "name": "High cross",
+ *     "ball": { "position": [x, y, z], "velocity": [x, y, z], "spin": [x, y, z] },
+ *     "car": { "position": [x, y, z], "heading": 0, "boost": 100 },
+ *     "timeLimit": 10
+ *   }]
+ * }
+ *
+ * Shots are always taken by the blue car at the orange goal (+z). The car's heading is in degrees,
+ * 0 facing that goal and 90 facing +x. The ball waits in place until the player first moves,
+ * then flies off with its velocity (units per second) and spin (radians per second)
+ */
+
+export const TRAINING_FORMAT = 'rocket-league-clone-training';
+export const TRAINING_VERSION = 1;
+
+// Bounds on what a shot can ask for
+const MAX_TIME_LIMIT = 60;
+const MAX_BOOST = 100;
+
+// A shot from the middle of the field at a ball waiting in front of the goal
+export function createShot() {
+    return {
+        name: '',
+        ball: { position: [0, 8, 120], velocity: [0, 0, 0], spin: [0, 0, 0] },
+        car: { position: [0, 3, 0], heading: 0, boost: 33 },
+        timeLimit: 10
+    };
+}
+
+// Shot from the car and ball as they are now (e.g. set up by driving around in free play)
+export function captureShot(car, ball, timeLimit = 10) {
+    const forward = car.getForwardDirection();
+    const toArray = vector => [vector.x, vector.y, vector.z].map(value => Math.round(value * 10) / 10);
+    
+    return {
+        name: '',
+        ball: {
+            position: toArray(ball.position),
+            velocity: toArray(ball.body.velocity),
+            spin: toArray(ball.body.angularVelocity)
+        },
+        car: {
+            position: toArray(car.position),
+            heading: Math.round(Math.atan2(forward.x, forward.z) * 180 / Math.PI),
+            boost: Math.round(car.boostAmount)
+        },
+        timeLimit
+    };
+}
+
+export class TrainingPack {
+    constructor(name = 'New training pack', shots = []) {
+        this.name = name;
+        this.description = '';
+        this.shots = shots;
+    }
+    
+    addShot(shot = createShot(), index = this.shots.length) {
+        this.shots.splice(index, 0, shot);
+        return shot;
+    }
+    
+    removeShot(index) {
+        this.shots.splice(index, 1);
+    }
+    
+    // Move a shot up (-1) or down (1) the list
+    moveShot(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.shots.length) return;
+        
+        const [shot] = this.shots.splice(index, 1);
+        this.shots.splice(target, 0, shot);
+    }
+    
+    toJSON() {
+        return {
+            format: TRAINING_FORMAT,
+            version: TRAINING_VERSION,
+            name: this.name,
+            description: this.description,
+            shots: this.shots
+        };
+    }
+    
+    static fromJSON(data) {
+        if (!data || data.format !== TRAINING_FORMAT) {
+            throw new Error('Not a training pack');
+        }
+        if (data.version > TRAINING_VERSION) {
+            throw new Error(`Training pack version ${data.version} is newer than this game supports`);
+        }
+        if (!Array.isArray(data.shots)) {
+            throw new Error('Training pack has no shots');
+        }
+        
+        const pack = new TrainingPack(String(data.name ?? 'Training pack'));
+        pack.description = String(data.description ?? '');
+        pack.shots = data.shots.map((shot, i) => TrainingPack.readShot(shot, i));
+        return pack;
+    }
+    
+    // Check a shot from a file, filling in anything left out from createShot()
+    static readShot(shot, index) {
+        const defaults = createShot();
+        const fail = field => {
+            throw new Error(`Shot ${index + 1} has an invalid ${field}`);
+        };
+        const vector = (value, fallback, field) => {
+            if (value === undefined) return fallback;
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) fail(field);
+            return value.slice();
+        };
+        const number = (value, fallback, field, min, max) => {
+            if (value === undefined) return fallback;
+            if (!Number.isFinite(value) || value < min || value > max) fail(field);
+            return value;
+        };
+        
+        if (!shot || typeof shot !== 'object') fail('entry');
+        const ball = shot.ball ?? {};
+        const car = shot.car ?? {};
+        
+        return {
+            name: String(shot.name ?? ''),
+            ball: {
+                position: vector(ball.position, defaults.ball.position, 'ball position'),
+                velocity: vector(ball.velocity, defaults.ball.velocity, 'ball velocity'),
+                spin: vector(ball.spin, defaults.ball.spin, 'ball spin')
+            },
+            car: {
+                position: vector(car.position, defaults.car.position, 'car position'),
+                heading: number(car.heading, defaults.car.heading, 'car heading', -360, 360),
+                boost: number(car.boost, defaults.car.boost, 'car boost', 0, MAX_BOOST)
+            },
+            timeLimit: number(shot.timeLimit, defaults.timeLimit, 'time limit', 1, MAX_TIME_LIMIT)
+        };
+    }
+    
+    toBlob() {
+        return new Blob([JSON.stringify(this, null, 2)], { type: 'application/json' });
+    }
+    
+    static async fromBlob(blob) {
+        let data;
+        try {
+            data = JSON.parse(await blob.text());
+        } catch (e) {
+            throw new Error('Not a training pack');
+        }
+        return TrainingPack.fromJSON(data);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * TrainingRunner class for playing a TrainingPack in free play
+ * Sets up each shot, holds the ball until the player first moves, then times the attempt:
+ * a goal moves on to the next shot, a miss (time up or an own goal) sets the same shot up again
+ */
+import * as THREE from 'three';
+import * as CANNON from 'cannon';
+import { clamp } from './utils.js';
+
+export class TrainingRunner {
+    constructor(match) {
+        this.match = match;
+        this.pack = null; // See trainingPack.js
+        this.car = null; // Car taking the shots (the first local player's)
+        this.shotIndex = 0;
+        this.phase = 'waiting'; // 'waiting' for the first input, 'live', showing the 'result', or 'complete'
+        this.timeLeft = 0; // Seconds left on the shot's time limit
+        this.lastResult = null; // 'goal', 'timeUp' or 'ownGoal' of the attempt just finished
+        this.resultLength = 2; // Seconds the result shows before the next attempt
+        this.resultTime = 0;
+        this.results = []; // Per shot: { attempts, goals, bestTime }
+        this.editingShot = null; // Shot shown, frozen, while it is being edited
+    }
+    
+    get shot() {
+        return this.pack.shots[this.shotIndex];
+    }
+    
+    get goalCount() {
+        return this.results.filter(result => result.goals > 0).length;
+    }
+    
+    start(pack, shotIndex = 0) {
+        this.pack = pack;
+        this.car = this.match.playerCar;
+        this.results = pack.shots.map(() => ({ attempts: 0, goals: 0, bestTime: null }));
+        this.editingShot = null;
+        this.loadShot(shotIndex);
+    }
+    
+    stop() {
+        this.pack = null;
+        this.editingShot = null;
+    }
+    
+    // Set a shot up for an attempt
+    loadShot(index) {
+        this.shotIndex = clamp(index, 0, this.pack.shots.length - 1);
+        this.phase = 'waiting';
+        this.timeLeft = this.shot.timeLimit;
+        this.lastResult = null;
+        
+        this.setUpShot(this.shot);
+        this.match.emit('shotStart', { index: this.shotIndex, shot: this.shot });
+    }
+    
+    retry() {
+        this.loadShot(this.shotIndex);
+    }
+    
+    nextShot() {
+        this.loadShot((this.shotIndex + 1) % this.pack.shots.length);
+    }
+    
+    previousShot() {
+        this.loadShot((this.shotIndex - 1 + this.pack.shots.length) % this.pack.shots.length);
+    }
+    
+    // Show a shot without playing it (for the editor)
+    previewShot(shot) {
+        this.car = this.match.playerCar;
+        this.editingShot = shot;
+        this.setUpShot(shot);
+    }
+    
+    // Put the car and ball where a shot starts, the ball held still
+    setUpShot(shot) {
+        const match = this.match;
+        const car = this.car;
+        
+        car.reset(new THREE.Vector3(...shot.car.position), shot.car.heading * Math.PI / 180);
+        car.boostAmount = shot.car.boost;
+        match.ball.reset(new CANNON.Vec3(...shot.ball.position));
+        match.lastTouch = null;
+        
+        match.emit('reset');
+    }
+    
+    // The shot starts on the player's first input, like a kickoff
+    hasInput() {
+        return Object.values(this.car.controls).some(value => value === true || (typeof value === 'number' && value !== 0));
+    }
+    
+    update(deltaTime) {
+        switch (this.phase) {
+            case 'waiting':
+                if (this.hasInput()) {
+                    this.releaseBall();
+                    this.phase = 'live';
+                }
+                break;
+            
+            case 'live': {
+                this.timeLeft -= deltaTime;
+                
+                const scoringTeam = this.match.stadium.checkGoal(this.match.ball.position);
+                if (scoringTeam) {
+                    this.finishAttempt(scoringTeam === this.car.team ? 'goal' : 'ownGoal');
+                } else if (this.timeLeft <= 0) {
+                    this.timeLeft = 0;
+                    this.finishAttempt('timeUp');
+                }
+                break;
+            }
+            
+            case 'result':
+                this.resultTime -= deltaTime;
+                if (this.resultTime <= 0) {
+                    this.afterResult();
+                }
+                break;
+        }
+    }
+    
+    releaseBall() {
+        const ball = this.match.ball;
+        const { position, velocity, spin } = this.shot.ball;
+        
+        ball.reset(new CANNON.Vec3(...position), new CANNON.Vec3(...velocity));
+        ball.body.angularVelocity.set(...spin);
+    }
+    
+    finishAttempt(result) {
+        const stats = this.results[this.shotIndex];
+        const time = this.shot.timeLimit - this.timeLeft;
+        
+        stats.attempts++;
+        if (result === 'goal') {
+            stats.goals++;
+            stats.bestTime = stats.bestTime === null ? time : Math.min(stats.bestTime, time);
+        }
+        
+        this.lastResult = result;
+        this.phase = 'result';
+        this.resultTime = this.resultLength;
+        this.match.emit('shotResult', { index: this.shotIndex, result, time });
+    }
+    
+    // Goals move on (the pack is complete after the last shot), misses go again
+    afterResult() {
+        if (this.lastResult !== 'goal') {
+            this.retry();
+        } else if (this.shotIndex < this.pack.shots.length - 1) {
+            this.nextShot();
+        } else {
+            this.phase = 'complete';
+            this.match.emit('trainingComplete', { results: this.results });
+        }
+    }
+}
@@ -52,3 +52,17 @@ export function directionFromRotation(rotation) {
     
     return new THREE.Vector3(x, y, z);
 }
+
+// Seeded random number generator (mulberry32)
+// Returns a function giving numbers in [0, 1), the same sequence for the same seed
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,36 @@
+/**
+ * Car-to-car bumps: the car that gets hit pops up, whichever of the pair resolves the contact
+ */
+import { describe, expect, test } from 'bun:test';
+import { Car } from '../js/car.js';
+
+// An orange car driving into a parked blue car along +z
+function createCrash() {
+    const parked = new Car('blue');
+    const rammer = new Car('orange');
+    parked.position.set(0, 3, 0);
+    rammer.position.set(0, 3, -(parked.collisionRadius + rammer.collisionRadius) + 1);
+    rammer.velocity.set(0, 0, 90);
+    rammer.speed = 90;
+    return { parked, rammer };
+}
+
+describe('handleCarCollision', () => {
+    for (const order of ['parked car first', 'rammer first']) {
+        test(`pops the car that was hit (${order})`, () => {
+            const { parked, rammer } = createCrash();
+            const contact = order === 'parked car first'
+                ? parked.handleCarCollision(rammer)
+                : rammer.handleCarCollision(parked);
+            
+            expect(contact.type).toBe('bump');
+            expect(contact.attacker).toBe(rammer);
+            expect(contact.victim).toBe(parked);
+            expect(parked.velocity.y).toBeGreaterThan(0);
+            expect(parked.velocity.z).toBeGreaterThan(0);
+            expect(rammer.velocity.y).toBe(0);
+            expect(rammer.velocity.z).toBeLessThan(90);
+            expect(rammer.isOnGround).toBe(true);
+        });
+    }
+});